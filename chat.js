@@ -1,15 +1,43 @@
 /**
  * 聊天功能模块
- * 支持公开/私密对话、多人聊天、消息加密
+ * 支持公开/私密对话、多人聊天、端到端加密（见 e2e.js）、帧签名、确认重传
  */
 
+// Node中加载依赖；页面中由index.html按顺序引入
+if (typeof module !== 'undefined' && module.exports) {
+    require('./e2e.js');
+}
+
 class ChatManager {
     constructor(ultrasonicComm) {
         this.ultrasonicComm = ultrasonicComm;
         this.currentRoom = null;
         this.rooms = new Map(); // 聊天室管理
         this.isPrivateMode = false;
-        this.encryptionKey = null;
+        
+        // 端到端加密：私密房间的群组密钥保存在房间的 encryptionKey / keyId 中，
+        // 只用成员之间ECDH协商的两两密钥加密后分发，不以明文出现在线路上
+        // 成员变化时轮换密钥，keyEpoch 为密钥的代数；keys 保留最近几代密钥，用于解密轮换前发出、轮换后才收到的消息
+        this.crypto = new E2ECrypto();
+        this.cryptoReady = this.crypto.init();
+        this.peerKeys = new Map(); // userId -> { publicKey, pairwise }
+        this.maxRoomKeys = 4;
+        this.maxEpochGap = 4; // 已有密钥时，收到的新密钥最多比当前的新几代，错过几次轮换仍能跟上
+        
+        // 已当面核对过安全码的用户：userId -> 核对时对方的签名公钥（十六进制），跨会话保存
+        // 用户ID由签名公钥派生，对方下次上线时重新收到签名公钥即可确认仍是同一个人
+        this.storage = ultrasonicComm.storage;
+        this.verifiedPeers = this.loadVerifiedPeers();
+        
+        // 帧签名：聊天、邀请、加入、离开、密钥和频段协商帧由发送方的身份密钥签名
+        // signedTypes 为各类型中表示发送方的字段；邀请、加入、密钥和频段协商帧同时附带签名公钥
+        // 频段协商帧由 UltrasonicComm 处理，通过 frameSigner 调用这里的签名和验证
+        this.identity = ultrasonicComm.identity;
+        this.signedTypes = { chat: 'fromUserId', invite: 'fromUserId', join_room: 'userId', leave_room: 'userId', private_key: 'fromUserId', band_switch: 'fromUserId' };
+        this.keyCarryingTypes = new Set(['invite', 'join_room', 'private_key', 'band_switch']);
+        this.stateChangingTypes = new Set(['join_room', 'leave_room', 'private_key']); // 改变成员或密钥，必须签名有效
+        ultrasonicComm.frameSigner = this;
+        this.signers = new Map(); // userId -> 签名公钥，首次收到附带公钥的有效签名时记录
         
         // 消息历史
         this.messageHistory = [];
@@ -20,20 +48,117 @@ class ChatManager {
         this.myUserId = ultrasonicComm.myUserId;
         this.myUsername = ultrasonicComm.getUsername();
         
+        // 与超声波模块共用线路格式，注册聊天消息类型
+        this.wire = ultrasonicComm.wire;
+        this.registerMessageTypes();
+        
+        // 可靠传输（确认与重传）
+        this.reliableDelivery = false;
+        this.pendingDeliveries = new Map(); // messageId -> 等待确认的发送
+        this.seenMessageIds = new Map(); // 已处理的消息ID，用于丢弃重传的重复消息
+        this.maxSeenMessageIds = 200;
+        this.maxRetries = 3;
+        
         // 回调函数
         this.onMessageReceived = null;
+        this.onMessageSent = null;
+        this.onDeliveryStateChanged = null;
         this.onUserJoined = null;
         this.onUserLeft = null;
         this.onRoomStateChanged = null;
         this.onInviteReceived = null;
+        this.onPeerVerificationChanged = null;
         
         this.setupEventHandlers();
     }
     
+    // 注册聊天相关的消息类型
+    registerMessageTypes() {
+        this.wire.registerType('chat', 10, [
+            ['messageId', 'id'],
+            ['roomId', 'id'],
+            ['fromUserId', 'uid'],
+            ['fromUsername', 'string'],
+            ['content', 'string'],
+            ['messageType', 'string'],
+            ['isEncrypted', 'bool'],
+            ['ackRequested', 'bool'],
+            ['timestamp', 'varint'],
+            ['keyId', 'id'],
+            ['ciphertext', 'bytes'],
+            ['signature', 'bytes']
+        ]);
+        this.wire.registerType('invite', 11, [
+            ['messageId', 'id'],
+            ['fromUserId', 'uid'],
+            ['fromUsername', 'string'],
+            ['toUserId', 'uid'],
+            ['roomId', 'id'],
+            ['roomName', 'string'],
+            ['isPrivate', 'bool'],
+            ['publicKey', 'bytes'],
+            ['ackRequested', 'bool'],
+            ['timestamp', 'varint'],
+            ['channel', 'varint'],
+            ['signingKey', 'bytes'],
+            ['signature', 'bytes']
+        ]);
+        this.wire.registerType('join_room', 12, [
+            ['messageId', 'id'],
+            ['userId', 'uid'],
+            ['username', 'string'],
+            ['toUserId', 'uid'],
+            ['roomId', 'id'],
+            ['ackRequested', 'bool'],
+            ['timestamp', 'varint'],
+            ['publicKey', 'bytes'],
+            ['signingKey', 'bytes'],
+            ['signature', 'bytes']
+        ]);
+        this.wire.registerType('leave_room', 13, [
+            ['userId', 'uid'],
+            ['username', 'string'],
+            ['roomId', 'id'],
+            ['timestamp', 'varint'],
+            ['signature', 'bytes']
+        ]);
+        this.wire.registerType('room_update', 14, [
+            ['roomId', 'id'],
+            ['roomName', 'string'],
+            ['memberCount', 'varint'],
+            ['isPrivate', 'bool'],
+            ['createdBy', 'uid'],
+            ['timestamp', 'varint'],
+            ['channel', 'varint']
+        ]);
+        this.wire.registerType('private_key', 15, [
+            ['messageId', 'id'],
+            ['roomId', 'id'],
+            ['keyId', 'id'],
+            ['fromUserId', 'uid'],
+            ['toUserId', 'uid'],
+            ['publicKey', 'bytes'],
+            ['wrappedKey', 'bytes'],
+            ['ackRequested', 'bool'],
+            ['timestamp', 'varint'],
+            ['signingKey', 'bytes'],
+            ['signature', 'bytes'],
+            ['epoch', 'varint']
+        ]);
+        this.wire.registerType('ack', 16, [
+            ['messageId', 'id'],
+            ['fromUserId', 'uid'],
+            ['toUserId', 'uid'],
+            ['timestamp', 'varint']
+        ]);
+    }
+    
     setupEventHandlers() {
         // 监听超声波通信事件
         this.ultrasonicComm.onDataReceived = (data) => {
-            this.handleIncomingData(data);
+            this.handleIncomingData(data).catch(error => {
+                console.error('处理消息失败:', error);
+            });
         };
         
         this.ultrasonicComm.onUserDetected = (userId, userData) => {
@@ -41,11 +166,29 @@ class ChatManager {
         };
     }
     
-    // 处理传入数据
-    handleIncomingData(data) {
+    // 处理传入数据，需要签名的帧先验证签名：签名无效的帧直接丢弃；
+    // 无法验证的聊天和邀请帧标记 signed = false 后照常处理，无法验证的加入、离开和密钥帧丢弃
+    // 返回的Promise在消息处理完后完成（解密聊天、解开房间密钥等）
+    async handleIncomingData(data) {
+        // 频段协商帧由 UltrasonicComm 验证和处理
+        if (data.type === 'band_switch') return;
+        
+        if (this.signedTypes[data.type]) {
+            const signed = await this.verifyFrame(data);
+            if (signed === null) {
+                console.warn('丢弃签名无效的消息:', data.type, '声称的发送方:', data[this.signedTypes[data.type]]);
+                return;
+            }
+            if (!signed && this.stateChangingTypes.has(data.type)) {
+                console.warn('丢弃无法验证签名的消息:', data.type, '声称的发送方:', data[this.signedTypes[data.type]]);
+                return;
+            }
+            data.signed = signed;
+        }
+        
         switch (data.type) {
             case 'chat':
-                this.handleChatMessage(data);
+                await this.handleChatMessage(data);
                 break;
             case 'invite':
                 this.handleInvite(data);
@@ -60,7 +203,10 @@ class ChatManager {
                 this.handleRoomUpdate(data);
                 break;
             case 'private_key':
-                this.handlePrivateKey(data);
+                await this.handlePrivateKey(data);
+                break;
+            case 'ack':
+                this.handleAck(data);
                 break;
         }
     }
@@ -86,8 +232,8 @@ class ChatManager {
         }
     }
     
-    // 创建或加入聊天室
-    async createOrJoinRoom(roomId = null, isPrivate = false) {
+    // 创建或加入聊天室，已知的房间沿用其信道，新房间选择一个房间信道
+    async createOrJoinRoom(roomId = null, isPrivate = false, channel = null) {
         if (!roomId) {
             roomId = this.generateRoomId();
         }
@@ -97,18 +243,25 @@ class ChatManager {
             name: `聊天室 ${roomId.substr(0, 4)}`,
             isPrivate: isPrivate,
             members: new Set([this.myUserId]),
+            invited: new Set(), // 成员邀请过的用户，只有其中的用户发来签名有效的加入通知才成为成员
+            inviters: new Set(), // 接纳过新成员的邀请人，新成员加入后由邀请人轮换并分发密钥
             createdBy: this.myUserId,
             createdAt: Date.now(),
-            encryptionKey: isPrivate ? this.generateEncryptionKey() : null
+            encryptionKey: null,
+            keyId: null,
+            keyEpoch: 0,
+            keys: new Map(),
+            channel: channel ?? this.rooms.get(roomId)?.channel ?? this.chooseRoomChannel()
         };
         
+        if (isPrivate) {
+            await this.createRoomKey(room);
+        }
+        
         this.rooms.set(roomId, room);
         this.currentRoom = room;
         this.isPrivateMode = isPrivate;
-        
-        if (isPrivate) {
-            this.encryptionKey = room.encryptionKey;
-        }
+        this.ultrasonicComm.setRoomChannel(room.channel);
         
         // 广播房间创建信息（如果是公开房间）
         if (!isPrivate) {
@@ -119,10 +272,40 @@ class ChatManager {
             this.onRoomStateChanged(room);
         }
         
-        console.log('创建/加入聊天室:', roomId, isPrivate ? '私密' : '公开');
+        console.log('创建/加入聊天室:', roomId, isPrivate ? '私密' : '公开', '信道:', room.channel);
         return room;
     }
     
+    // 为新聊天室选择信道：不使用控制信道，优先选择已知聊天室用得最少的信道
+    chooseRoomChannel() {
+        const controlChannel = this.ultrasonicComm.controlChannel;
+        const usage = new Map();
+        for (let channel = 0; channel < this.ultrasonicComm.getChannelCount(); channel++) {
+            if (channel !== controlChannel) {
+                usage.set(channel, 0);
+            }
+        }
+        
+        for (const room of this.rooms.values()) {
+            if (usage.has(room.channel)) {
+                usage.set(room.channel, usage.get(room.channel) + 1);
+            }
+        }
+        
+        const leastUsed = Math.min(...usage.values());
+        const candidates = [...usage.keys()].filter(channel => usage.get(channel) === leastUsed);
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+    
+    // 消息使用的信道：邀请和房间广播走控制信道，房间内的消息走房间信道
+    getMessageChannel(data) {
+        const room = data.roomId && this.rooms.get(data.roomId);
+        if (!room || data.type === 'invite' || data.type === 'room_update') {
+            return this.ultrasonicComm.controlChannel;
+        }
+        return room.channel;
+    }
+    
     // 邀请用户到聊天室
     async inviteUser(userId, roomId = null) {
         const targetRoomId = roomId || this.currentRoom?.id;
@@ -135,76 +318,127 @@ class ChatManager {
             throw new Error('聊天室不存在');
         }
         
+        await this.cryptoReady;
+        
+        // 邀请中附带自己的公钥，私密房间的密钥在对方加入后单独加密发送
         const invite = {
             type: 'invite',
+            messageId: this.generateMessageId(),
             fromUserId: this.myUserId,
             fromUsername: this.myUsername,
             toUserId: userId,
             roomId: targetRoomId,
             roomName: room.name,
             isPrivate: room.isPrivate,
+            publicKey: this.crypto.publicKey,
+            channel: room.channel,
             timestamp: Date.now()
         };
         
-        // 如果是私密房间，包含加密密钥
-        if (room.isPrivate) {
-            invite.encryptionKey = room.encryptionKey;
-        }
-        
-        await this.ultrasonicComm.transmitData(invite);
+        room.invited.add(userId);
         console.log('发送邀请给用户:', userId);
+        return this.transmitReliable(invite, [userId]);
     }
     
-    // 处理邀请
+    // 处理邀请，公钥只从发给自己且签名有效的邀请中记录
+    // 听到房间其他成员签名的邀请时记下受邀用户，之后能认出他的加入通知
     handleInvite(data) {
+        if (data.signed) {
+            const room = this.rooms.get(data.roomId);
+            if (room && room.members.has(data.fromUserId)) {
+                room.invited.add(data.toUserId);
+            }
+        }
+        
         if (data.toUserId === this.myUserId) {
+            if (data.signed) {
+                this.rememberPeerKey(data.fromUserId, data.publicKey);
+            }
+            if (data.ackRequested) {
+                this.sendAck(data, data.fromUserId);
+            }
+            if (this.isDuplicate(data)) return;
+            
             if (this.onInviteReceived) {
                 this.onInviteReceived(data);
             }
         }
     }
     
-    // 接受邀请
+    // 接受邀请，之后的房间消息改在房间信道上收发
     async acceptInvite(inviteData) {
         const room = {
             id: inviteData.roomId,
             name: inviteData.roomName,
             isPrivate: inviteData.isPrivate,
-            members: new Set([this.myUserId]),
+            members: new Set([this.myUserId, inviteData.fromUserId]),
+            invited: new Set(),
+            inviters: new Set(),
             createdBy: inviteData.fromUserId,
             createdAt: Date.now(),
-            encryptionKey: inviteData.encryptionKey
+            encryptionKey: null,
+            keyId: null,
+            keyEpoch: 0,
+            keys: new Map(),
+            channel: inviteData.channel ?? this.ultrasonicComm.controlChannel
         };
         
         this.rooms.set(room.id, room);
         this.currentRoom = room;
         this.isPrivateMode = room.isPrivate;
+        this.ultrasonicComm.setRoomChannel(room.channel);
+        
+        if (!this.connectedUsers.has(inviteData.fromUserId)) {
+            this.connectedUsers.set(inviteData.fromUserId, {
+                userId: inviteData.fromUserId,
+                username: inviteData.fromUsername,
+                lastSeen: Date.now(),
+                isOnline: true
+            });
+        }
+        
+        if (this.onRoomStateChanged) {
+            this.onRoomStateChanged(room);
+        }
         
+        console.log('接受邀请，加入聊天室:', room.id, '信道:', room.channel);
         if (room.isPrivate) {
-            this.encryptionKey = room.encryptionKey;
+            this.addSystemMessage('等待邀请人发送加密密钥');
         }
         
-        // 通知房间成员有新用户加入
-        await this.ultrasonicComm.transmitData({
+        // 通知房间成员有新用户加入，由邀请人确认；附带公钥，私密房间的邀请人据此加密发送房间密钥
+        await this.cryptoReady;
+        return this.transmitReliable({
             type: 'join_room',
+            messageId: this.generateMessageId(),
             userId: this.myUserId,
             username: this.myUsername,
+            toUserId: inviteData.fromUserId,
             roomId: room.id,
-            timestamp: Date.now()
-        });
-        
-        if (this.onRoomStateChanged) {
-            this.onRoomStateChanged(room);
-        }
-        
-        console.log('接受邀请，加入聊天室:', room.id);
+            timestamp: Date.now(),
+            publicKey: this.crypto.publicKey
+        }, [inviteData.fromUserId]);
     }
     
-    // 处理用户加入房间
+    // 处理用户加入房间：只接纳受邀用户签名有效的加入通知，其他的不确认、不加入成员、不发送密钥
     handleJoinRoom(data) {
         const room = this.rooms.get(data.roomId);
         if (room && this.currentRoom?.id === data.roomId) {
+            if (data.signed !== true || !room.invited.has(data.userId)) {
+                console.warn('忽略未受邀或未签名的加入通知:', data.userId);
+                return;
+            }
+            this.rememberPeerKey(data.userId, data.publicKey);
+            
+            if (data.ackRequested && data.toUserId === this.myUserId) {
+                this.sendAck(data, data.userId);
+            }
+            if (this.isDuplicate(data)) return;
+            
             room.members.add(data.userId);
+            if (room.members.has(data.toUserId)) {
+                room.inviters.add(data.toUserId);
+            }
             
             // 更新连接用户信息
             this.connectedUsers.set(data.userId, {
@@ -220,14 +454,23 @@ class ChatManager {
             
             // 添加系统消息
             this.addSystemMessage(`${data.username} 加入了聊天室`);
+            
+            // 私密房间由邀请人轮换房间密钥并发给包括新成员在内的所有成员，新成员无法解密加入之前的消息
+            if (room.isPrivate && room.encryptionKey && data.toUserId === this.myUserId) {
+                this.rotateRoomKey(room).catch(error => {
+                    console.error('轮换房间密钥失败:', error);
+                });
+            }
         }
     }
     
-    // 处理用户离开房间
+    // 处理用户离开房间：只处理当前成员的离开通知（签名已在 handleIncomingData 中验证）
     handleLeaveRoom(data) {
         const room = this.rooms.get(data.roomId);
         if (room && this.currentRoom?.id === data.roomId) {
-            room.members.delete(data.userId);
+            room.invited.delete(data.userId);
+            room.inviters.delete(data.userId);
+            if (!room.members.delete(data.userId)) return;
             
             if (this.onUserLeft) {
                 this.onUserLeft(data.userId, data);
@@ -237,6 +480,13 @@ class ChatManager {
             const user = this.connectedUsers.get(data.userId);
             const username = user?.username || data.username || '用户';
             this.addSystemMessage(`${username} 离开了聊天室`);
+            
+            // 私密房间轮换密钥，离开的成员无法解密之后的消息
+            if (room.isPrivate && room.encryptionKey && this.getRekeyMember(room) === this.myUserId) {
+                this.rotateRoomKey(room).catch(error => {
+                    console.error('轮换房间密钥失败:', error);
+                });
+            }
         }
     }
     
@@ -246,43 +496,57 @@ class ChatManager {
             throw new Error('没有活动的聊天室');
         }
         
-        let messageContent = content;
-        
-        // 如果是私密模式，加密消息
-        if (this.isPrivateMode && this.encryptionKey) {
-            messageContent = this.encryptMessage(content, this.encryptionKey);
-        }
-        
+        const room = this.currentRoom;
         const message = {
             type: 'chat',
             messageId: this.generateMessageId(),
-            roomId: this.currentRoom.id,
+            roomId: room.id,
             fromUserId: this.myUserId,
             fromUsername: this.myUsername,
-            content: messageContent,
+            content: content,
             messageType: type,
-            isEncrypted: this.isPrivateMode,
+            isEncrypted: false,
             timestamp: Date.now()
         };
         
+        // 私密模式下用房间密钥加密，密文替代明文内容
+        if (this.isPrivateMode) {
+            if (!room.encryptionKey) {
+                throw new Error('尚未收到聊天室密钥');
+            }
+            message.isEncrypted = true;
+            message.keyId = room.keyId;
+            message.ciphertext = await this.crypto.encryptText(room.encryptionKey, content, this.chatAssociatedData(message));
+            delete message.content;
+        }
+        
+        const recipients = [...room.members].filter(userId => userId !== this.myUserId);
+        
         // 添加到本地消息历史
-        this.addMessage({
+        const localMessage = {
             ...message,
             content: content, // 本地存储明文
-            isOwn: true
-        });
+            isOwn: true,
+            deliveryState: this.reliableDelivery && recipients.length > 0 ? 'pending' : null
+        };
+        this.addMessage(localMessage);
         
-        // 发送消息
-        await this.ultrasonicComm.transmitData(message);
+        if (this.onMessageSent) {
+            this.onMessageSent(localMessage);
+        }
         
+        // 发送消息
         console.log('发送消息:', content);
-        return message;
+        await this.transmitReliable(message, recipients);
+        
+        return localMessage;
     }
     
     // 处理聊天消息
-    handleChatMessage(data) {
+    async handleChatMessage(data) {
         // 检查是否属于当前房间
-        if (!this.currentRoom || data.roomId !== this.currentRoom.id) {
+        const room = this.currentRoom;
+        if (!room || data.roomId !== room.id) {
             return;
         }
         
@@ -291,24 +555,26 @@ class ChatManager {
             return;
         }
         
-        let content = data.content;
+        // 私密房间只接受加密的消息：明文消息在范围内的任何设备都能发出，不丢弃就会冒充房间内的消息显示
+        if (room.isPrivate && !data.isEncrypted) {
+            console.warn('丢弃私密房间中未加密的消息:', data.fromUserId);
+            return;
+        }
         
-        // 如果消息被加密，尝试解密
-        if (data.isEncrypted && this.encryptionKey) {
-            try {
-                content = this.decryptMessage(data.content, this.encryptionKey);
-            } catch (error) {
-                console.error('消息解密失败:', error);
-                content = '[加密消息 - 解密失败]';
-            }
-        } else if (data.isEncrypted && !this.encryptionKey) {
-            content = '[加密消息 - 无解密密钥]';
+        if (data.ackRequested) {
+            this.sendAck(data, data.fromUserId);
         }
+        if (this.isDuplicate(data)) return;
+        
+        const content = data.isEncrypted ? await this.decryptChatMessage(data) : data.content;
         
+        // 私密房间中不在已知成员里的发送方标记 nonMember，界面中显示警告：可能是已离开的成员用旧密钥发来的
+        // （在自己之前加入的成员也不在已知成员中，因此只标记不丢弃）
         const message = {
             ...data,
             content: content,
-            isOwn: false
+            isOwn: false,
+            nonMember: room.isPrivate && !room.members.has(data.fromUserId)
         };
         
         this.addMessage(message);
@@ -318,6 +584,168 @@ class ChatManager {
         }
     }
     
+    // 解密聊天消息，失败时返回提示文字
+    async decryptChatMessage(data) {
+        const key = this.rooms.get(data.roomId)?.keys.get(data.keyId);
+        if (!key || !data.ciphertext) {
+            return '[加密消息 - 无解密密钥]';
+        }
+        
+        try {
+            return await this.crypto.decryptText(key, data.ciphertext, this.chatAssociatedData(data));
+        } catch (error) {
+            console.error('消息解密失败:', error);
+            return '[加密消息 - 解密失败]';
+        }
+    }
+    
+    // 聊天消息的密文绑定房间、密钥、发送方和消息ID
+    chatAssociatedData(data) {
+        return this.crypto.associatedData('chat', data.roomId, data.keyId, data.fromUserId, data.messageId);
+    }
+    
+    // 设置可靠传输模式
+    setReliableDelivery(enabled) {
+        this.reliableDelivery = enabled;
+    }
+    
+    // 发送数据，可靠传输模式下等待接收方确认，超时按退避重传
+    // 返回最终投递状态：'delivered' / 'failed'；未启用可靠传输时发出后返回 null，未能发出（信道持续繁忙等）时返回 'failed'
+    async transmitReliable(data, recipients) {
+        const targets = recipients.filter(userId => userId && userId !== this.myUserId);
+        const channel = this.getMessageChannel(data);
+        
+        if (!this.reliableDelivery || targets.length === 0) {
+            if (await this.ultrasonicComm.transmitData(await this.signFrame(data), { channel })) {
+                return null;
+            }
+            this.updateDeliveryState(data.messageId, 'failed');
+            return 'failed';
+        }
+        
+        // 请求确认的标志也在签名范围内，重传时发送同一个已签名的帧
+        const frame = await this.signFrame({ ...data, ackRequested: true });
+        return new Promise(resolve => {
+            this.pendingDeliveries.set(data.messageId, {
+                frame: frame,
+                channel: channel,
+                recipients: new Set(targets),
+                attempts: 0,
+                timer: null,
+                resolve: resolve
+            });
+            
+            this.updateDeliveryState(data.messageId, 'pending');
+            this.attemptDelivery(data.messageId);
+        });
+    }
+    
+    // 发送一次并启动确认计时
+    async attemptDelivery(messageId) {
+        const delivery = this.pendingDeliveries.get(messageId);
+        if (!delivery) return;
+        
+        delivery.attempts++;
+        await this.ultrasonicComm.transmitData(delivery.frame, { channel: delivery.channel });
+        
+        // 发送期间可能已收到全部确认
+        if (!this.pendingDeliveries.has(messageId)) return;
+        
+        // 指数退避，附加随机抖动避免多个设备同时重传
+        const timeout = this.getAckTimeout(delivery.channel) * Math.pow(2, delivery.attempts - 1) + Math.random() * 1000;
+        delivery.timer = setTimeout(() => this.handleAckTimeout(messageId), timeout);
+    }
+    
+    // 确认超时
+    handleAckTimeout(messageId) {
+        const delivery = this.pendingDeliveries.get(messageId);
+        if (!delivery) return;
+        
+        if (delivery.attempts > this.maxRetries) {
+            console.warn('消息投递失败:', messageId, '未确认:', [...delivery.recipients]);
+            this.finishDelivery(messageId, 'failed');
+            return;
+        }
+        
+        console.log('确认超时，重传消息:', messageId, '第', delivery.attempts, '次重传');
+        this.attemptDelivery(messageId);
+    }
+    
+    // 结束投递
+    finishDelivery(messageId, state) {
+        const delivery = this.pendingDeliveries.get(messageId);
+        if (!delivery) return;
+        
+        clearTimeout(delivery.timer);
+        this.pendingDeliveries.delete(messageId);
+        this.updateDeliveryState(messageId, state);
+        delivery.resolve(state);
+    }
+    
+    // 更新消息投递状态
+    updateDeliveryState(messageId, state) {
+        const message = this.messageHistory.find(m => m.messageId === messageId);
+        if (message) {
+            message.deliveryState = state;
+        }
+        
+        if (this.onDeliveryStateChanged) {
+            this.onDeliveryStateChanged(messageId, state);
+        }
+    }
+    
+    // 确认等待时间：对方在同一信道上发送一个确认帧所需的时间加上余量
+    getAckTimeout(channel = this.ultrasonicComm.controlChannel) {
+        const sampleAck = {
+            type: 'ack',
+            messageId: this.generateMessageId(),
+            fromUserId: this.myUserId,
+            toUserId: this.myUserId,
+            timestamp: Date.now()
+        };
+        return this.ultrasonicComm.estimateAirtime(sampleAck, channel) * 1500 + 3000;
+    }
+    
+    // 发送确认，与被确认的消息使用同一信道
+    async sendAck(data, toUserId) {
+        try {
+            await this.ultrasonicComm.transmitData({
+                type: 'ack',
+                messageId: data.messageId,
+                fromUserId: this.myUserId,
+                toUserId: toUserId,
+                timestamp: Date.now()
+            }, { channel: this.getMessageChannel(data) });
+        } catch (error) {
+            console.error('发送确认失败:', error);
+        }
+    }
+    
+    // 处理确认
+    handleAck(data) {
+        if (data.toUserId !== this.myUserId) return;
+        
+        const delivery = this.pendingDeliveries.get(data.messageId);
+        if (!delivery) return;
+        
+        delivery.recipients.delete(data.fromUserId);
+        if (delivery.recipients.size === 0) {
+            this.finishDelivery(data.messageId, 'delivered');
+        }
+    }
+    
+    // 检查是否为重传的重复消息
+    isDuplicate(data) {
+        if (!data.messageId) return false;
+        if (this.seenMessageIds.has(data.messageId)) return true;
+        
+        this.seenMessageIds.set(data.messageId, Date.now());
+        if (this.seenMessageIds.size > this.maxSeenMessageIds) {
+            this.seenMessageIds.delete(this.seenMessageIds.keys().next().value);
+        }
+        return false;
+    }
+    
     // 添加消息到历史
     addMessage(message) {
         this.messageHistory.push(message);
@@ -328,15 +756,16 @@ class ChatManager {
         }
     }
     
-    // 添加系统消息
-    addSystemMessage(content) {
+    // 添加系统消息，extra 为附加字段（如密钥代数 keyEpoch，界面据此标出新一代密钥的起点）
+    addSystemMessage(content, extra = {}) {
         const message = {
             messageId: this.generateMessageId(),
             type: 'system',
             content: content,
             timestamp: Date.now(),
             isOwn: false,
-            isSystem: true
+            isSystem: true,
+            ...extra
         };
         
         this.addMessage(message);
@@ -356,17 +785,13 @@ class ChatManager {
         this.currentRoom.isPrivate = this.isPrivateMode;
         
         if (this.isPrivateMode) {
-            // 生成新的加密密钥
-            this.encryptionKey = this.generateEncryptionKey();
-            this.currentRoom.encryptionKey = this.encryptionKey;
-            
-            // 向房间成员分发密钥
-            await this.distributeEncryptionKey();
-            
             this.addSystemMessage('聊天室已切换为私密模式');
+            await this.rotateRoomKey(this.currentRoom);
         } else {
-            this.encryptionKey = null;
+            // 代数保留，再次切换为私密模式时成员仍按代数接受新密钥
             this.currentRoom.encryptionKey = null;
+            this.currentRoom.keyId = null;
+            this.currentRoom.keys.clear();
             this.addSystemMessage('聊天室已切换为公开模式');
         }
         
@@ -377,53 +802,336 @@ class ChatManager {
         return this.isPrivateMode;
     }
     
-    // 分发加密密钥
-    async distributeEncryptionKey() {
-        if (!this.currentRoom || !this.encryptionKey) return;
+    // 生成新一代房间密钥，keyId 随密文发送，接收方据此选择解密用的密钥
+    async createRoomKey(room) {
+        this.installRoomKey(room, await this.crypto.generateGroupKey(), this.generateMessageId(), room.keyEpoch + 1);
+    }
+    
+    // 启用一代房间密钥，并保留最近几代
+    installRoomKey(room, key, keyId, epoch) {
+        room.encryptionKey = key;
+        room.keyId = keyId;
+        room.keyEpoch = epoch;
+        this.rememberRoomKey(room, keyId, key);
+    }
+    
+    rememberRoomKey(room, keyId, key) {
+        room.keys.set(keyId, key);
+        if (room.keys.size > this.maxRoomKeys) {
+            room.keys.delete(room.keys.keys().next().value);
+        }
+    }
+    
+    // 成员变化后轮换房间密钥：生成新一代密钥，只发给当前成员，并在聊天记录中标出新一代密钥的起点
+    async rotateRoomKey(room) {
+        await this.createRoomKey(room);
+        if (room === this.currentRoom) {
+            this.addSystemMessage(`已启用第 ${room.keyEpoch} 代房间密钥`, { keyEpoch: room.keyEpoch });
+        }
+        
+        const missing = await this.distributeEncryptionKey(room);
+        if (missing.length > 0 && room === this.currentRoom) {
+            const names = missing.map(userId => this.connectedUsers.get(userId)?.username || userId).join('、');
+            this.addSystemMessage(`尚未与 ${names} 交换公钥，无法发送密钥`);
+        }
+    }
+    
+    // 有成员离开时负责轮换密钥的成员：创建者仍在房间中时为创建者，否则为用户ID最小的成员，各成员算出的结果相同
+    getRekeyMember(room) {
+        if (room.members.has(room.createdBy)) {
+            return room.createdBy;
+        }
+        return [...room.members].sort()[0];
+    }
+    
+    // 判断收到的密钥是否比当前使用的新：代数更大，或同一代中 keyId 更大（两个成员同时轮换时各成员选择同一把）
+    isNewerRoomKey(room, epoch, keyId) {
+        if (epoch !== room.keyEpoch) {
+            return epoch > room.keyEpoch;
+        }
+        return !room.keyId || keyId > room.keyId;
+    }
+    
+    // 向房间的其他成员分发当前的房间密钥，返回尚未交换公钥、无法发送的成员
+    // 成员只经签名有效的加入和离开通知变化，公钥只从签名有效的帧中记录，密钥不会发给冒充的用户
+    async distributeEncryptionKey(room = this.currentRoom) {
+        if (!room || !room.encryptionKey) return [];
+        
+        const members = [...room.members].filter(userId => userId !== this.myUserId);
+        await Promise.all(members
+            .filter(userId => this.peerKeys.has(userId))
+            .map(userId => this.sendRoomKey(room, userId)));
+        return members.filter(userId => !this.peerKeys.has(userId));
+    }
+    
+    // 用与对方的两两密钥加密房间密钥后单独发送，附带自己的公钥，对方无需事先知道也能解开
+    async sendRoomKey(room, userId) {
+        const pairwiseKey = await this.getPairwiseKey(userId);
+        if (!pairwiseKey) {
+            throw new Error('尚未与对方交换公钥');
+        }
         
         const keyData = {
             type: 'private_key',
-            roomId: this.currentRoom.id,
-            encryptionKey: this.encryptionKey,
+            messageId: this.generateMessageId(),
+            roomId: room.id,
+            keyId: room.keyId,
             fromUserId: this.myUserId,
-            timestamp: Date.now()
+            toUserId: userId,
+            publicKey: this.crypto.publicKey,
+            timestamp: Date.now(),
+            epoch: room.keyEpoch
         };
+        keyData.wrappedKey = await this.crypto.wrapGroupKey(room.encryptionKey, pairwiseKey, this.keyAssociatedData(keyData));
         
-        await this.ultrasonicComm.transmitData(keyData);
+        return this.transmitReliable(keyData, [userId]);
     }
     
-    // 处理私钥分发
-    handlePrivateKey(data) {
-        if (data.roomId === this.currentRoom?.id) {
-            this.encryptionKey = data.encryptionKey;
+    // 处理房间密钥分发：只接受有权分发密钥的成员发来的密钥（签名已在 handleIncomingData 中验证），其他的不确认
+    async handlePrivateKey(data) {
+        if (data.toUserId !== this.myUserId) return;
+        
+        const room = this.rooms.get(data.roomId);
+        if (!room) return;
+        
+        const epoch = data.epoch || 0;
+        if (!this.canDistributeKey(room, data.fromUserId, epoch)) {
+            console.warn('忽略无权分发房间密钥的用户发来的密钥:', data.fromUserId, '代数:', epoch);
+            return;
+        }
+        
+        if (data.ackRequested) {
+            this.sendAck(data, data.fromUserId);
+        }
+        if (this.isDuplicate(data)) return;
+        
+        this.rememberPeerKey(data.fromUserId, data.publicKey);
+        
+        let key;
+        try {
+            const pairwiseKey = await this.getPairwiseKey(data.fromUserId);
+            key = await this.crypto.unwrapGroupKey(data.wrappedKey, pairwiseKey, this.keyAssociatedData(data));
+        } catch (error) {
+            console.error('房间密钥解密失败:', error);
+            if (room === this.currentRoom) {
+                this.addSystemMessage('收到无法解密的房间密钥');
+            }
+            return;
+        }
+        
+        // 较旧的密钥（如同时轮换时落选的一把）只保留用于解密，不替换当前密钥
+        if (!this.isNewerRoomKey(room, epoch, data.keyId)) {
+            this.rememberRoomKey(room, data.keyId, key);
+            return;
+        }
+        
+        const hadKey = !!room.encryptionKey;
+        this.installRoomKey(room, key, data.keyId, epoch);
+        
+        room.isPrivate = true;
+        if (room === this.currentRoom) {
             this.isPrivateMode = true;
-            this.currentRoom.isPrivate = true;
-            this.currentRoom.encryptionKey = data.encryptionKey;
-            
-            this.addSystemMessage('收到加密密钥，聊天室已切换为私密模式');
+            if (hadKey) {
+                const username = this.connectedUsers.get(data.fromUserId)?.username || data.fromUserId;
+                this.addSystemMessage(`${username} 更换了房间密钥，已启用第 ${epoch} 代房间密钥`, { keyEpoch: epoch });
+            } else {
+                this.addSystemMessage('收到加密密钥，聊天室已切换为私密模式', { keyEpoch: epoch });
+            }
             
             if (this.onRoomStateChanged) {
-                this.onRoomStateChanged(this.currentRoom);
+                this.onRoomStateChanged(room);
             }
         }
     }
     
+    // 判断 userId 发来的第 epoch 代房间密钥能否接受：发送方必须是房间成员
+    // 尚无密钥时（刚接受邀请，或公开房间切换为私密模式）接受任一成员发来的；已有密钥时只接受
+    // 接纳了新成员的邀请人和成员离开时负责轮换的成员发来的，且代数最多比当前的大 maxEpochGap
+    canDistributeKey(room, userId, epoch) {
+        if (!room.members.has(userId)) return false;
+        if (!room.encryptionKey) return true;
+        if (epoch > room.keyEpoch + this.maxEpochGap) return false;
+        return room.inviters.has(userId) || this.getRekeyMember(room) === userId;
+    }
+    
+    // 房间密钥的密文绑定房间、密钥、代数和收发双方
+    keyAssociatedData(data) {
+        return this.crypto.associatedData('private_key', data.roomId, data.keyId, data.epoch || 0, data.fromUserId, data.toUserId);
+    }
+    
+    // 记录对方的ECDH公钥，公钥变化（对方重新打开了页面）时丢弃已协商的两两密钥
+    // 公钥只从签名有效的帧中记录，由对方的身份密钥担保，不影响验证状态
+    rememberPeerKey(userId, publicKey) {
+        if (!userId || !publicKey || userId === this.myUserId) return;
+        
+        const peer = this.peerKeys.get(userId);
+        if (peer && this.crypto.bytesEqual(peer.publicKey, publicKey)) return;
+        
+        this.peerKeys.set(userId, { publicKey: publicKey, pairwise: null });
+    }
+    
+    // 与对方的安全码，双方当面或电话中念出核对；未交换公钥时返回 null
+    // 同时绑定双方的签名公钥，中间人替换签名公钥冒充对方签名时安全码同样对不上
+    async getSafetyCode(userId) {
+        if (!await this.getPairwiseKey(userId)) return null;
+        
+        await this.identity.load();
+        const signingKeys = [this.identity.publicKey, this.signers.get(userId)].filter(Boolean);
+        const context = this.crypto.concat(...signingKeys.sort((a, b) => this.crypto.compareBytes(a, b)));
+        return this.crypto.deriveSafetyCode(this.peerKeys.get(userId).pairwise, context);
+    }
+    
+    // 核对安全码后标记对方为已验证，记录的是对方的签名公钥
+    setPeerVerified(userId, verified) {
+        const signingKey = this.signers.get(userId);
+        if (verified && (!signingKey || !this.peerKeys.has(userId))) {
+            throw new Error('尚未与对方交换公钥');
+        }
+        
+        if (verified) {
+            this.verifiedPeers.set(userId, this.wire.bytesToHex(signingKey));
+        } else {
+            this.verifiedPeers.delete(userId);
+        }
+        this.saveVerifiedPeers();
+        
+        if (this.onPeerVerificationChanged) {
+            this.onPeerVerificationChanged(userId, verified);
+        }
+    }
+    
+    // 本次会话中收到的对方签名公钥与核对安全码时的一致才算已验证
+    isPeerVerified(userId) {
+        const signingKey = this.signers.get(userId);
+        return !!signingKey && this.verifiedPeers.get(userId) === this.wire.bytesToHex(signingKey);
+    }
+    
+    hasPeerKey(userId) {
+        return this.peerKeys.has(userId);
+    }
+    
+    // 当前房间中除自己以外的成员及其验证状态
+    getRoomMembers() {
+        if (!this.currentRoom) return [];
+        
+        return [...this.currentRoom.members]
+            .filter(userId => userId !== this.myUserId)
+            .map(userId => ({
+                userId: userId,
+                username: this.connectedUsers.get(userId)?.username || '用户' + userId.substr(0, 4),
+                hasKey: this.hasPeerKey(userId),
+                verified: this.isPeerVerified(userId)
+            }));
+    }
+    
+    loadVerifiedPeers() {
+        try {
+            return new Map(Object.entries(JSON.parse(this.storage?.getItem('verifiedPeers') || '{}')));
+        } catch (error) {
+            console.warn('读取已验证用户失败:', error);
+            return new Map();
+        }
+    }
+    
+    saveVerifiedPeers() {
+        this.storage?.setItem('verifiedPeers', JSON.stringify(Object.fromEntries(this.verifiedPeers)));
+    }
+    
+    // 签名帧：签名覆盖不含 signature 字段的线路编码，接收方重新编码后验证
+    async signFrame(data) {
+        if (!this.signedTypes[data.type]) return data;
+        
+        await this.identity.load();
+        const frame = { ...data };
+        if (this.keyCarryingTypes.has(data.type)) {
+            frame.signingKey = this.identity.publicKey;
+        }
+        frame.signature = await this.identity.sign(this.wire.encode(frame));
+        return frame;
+    }
+    
+    // 验证签名：返回 true（签名有效）、false（无法验证）或 null（应丢弃）
+    // 已知签名公钥的用户发来的帧必须带有有效签名；帧中附带的签名公钥与已记录的不同时视为冒充
+    // 未知用户的帧附带签名公钥且签名有效时记录该公钥，之后以它验证此用户的所有帧
+    async verifyFrame(data) {
+        const userId = data[this.signedTypes[data.type]];
+        const known = this.signers.get(userId);
+        
+        if (known && data.signingKey && !this.crypto.bytesEqual(known, data.signingKey)) {
+            return null;
+        }
+        
+        const signingKey = known || data.signingKey;
+        if (!data.signature || !signingKey) {
+            return known ? null : false;
+        }
+        
+        // 用户ID由签名公钥派生，附带的签名公钥必须与声称的用户ID相符
+        if (!known && await this.identity.deriveUserId(signingKey) !== userId) {
+            return null;
+        }
+        
+        const { signature, ...unsigned } = data;
+        if (!await this.crypto.verify(signingKey, signature, this.wire.encode(unsigned))) {
+            return null;
+        }
+        
+        // 验证期间可能已从另一帧记录了此用户的签名公钥
+        const current = this.signers.get(userId);
+        if (current && !this.crypto.bytesEqual(current, signingKey)) {
+            return null;
+        }
+        if (!current) {
+            this.recordSigner(userId, signingKey);
+        }
+        return true;
+    }
+    
+    // 记录签名公钥，并与核对安全码时记录的对照：一致则对方重新成为已验证，不一致说明有人伪造了相同的用户ID
+    recordSigner(userId, signingKey) {
+        this.signers.set(userId, signingKey);
+        
+        const verifiedKey = this.verifiedPeers.get(userId);
+        if (!verifiedKey) return;
+        
+        const verified = verifiedKey === this.wire.bytesToHex(signingKey);
+        if (!verified) {
+            const username = this.connectedUsers.get(userId)?.username || userId;
+            this.addSystemMessage(`${username} 的身份密钥与核对安全码时不同，可能有人冒充`);
+        }
+        if (this.onPeerVerificationChanged) {
+            this.onPeerVerificationChanged(userId, verified);
+        }
+    }
+    
+    // 与对方的两两密钥，首次使用时协商，未交换公钥时返回 null
+    async getPairwiseKey(userId) {
+        const peer = this.peerKeys.get(userId);
+        if (!peer) return null;
+        
+        await this.cryptoReady;
+        if (!peer.pairwise) {
+            peer.pairwise = await this.crypto.derivePairwise(peer.publicKey);
+        }
+        return peer.pairwise.key;
+    }
+    
     // 离开当前房间
     async leaveRoom() {
         if (!this.currentRoom) return;
         
-        // 通知其他成员
-        await this.ultrasonicComm.transmitData({
+        // 在房间信道上通知其他成员，之后只监听控制信道
+        await this.ultrasonicComm.transmitData(await this.signFrame({
             type: 'leave_room',
             userId: this.myUserId,
             username: this.myUsername,
             roomId: this.currentRoom.id,
             timestamp: Date.now()
-        });
+        }), { channel: this.currentRoom.channel });
         
+        this.ultrasonicComm.setRoomChannel(null);
         this.currentRoom = null;
         this.isPrivateMode = false;
-        this.encryptionKey = null;
         
         if (this.onRoomStateChanged) {
             this.onRoomStateChanged(null);
@@ -441,7 +1149,8 @@ class ChatManager {
             memberCount: this.currentRoom.members.size,
             isPrivate: this.currentRoom.isPrivate,
             createdBy: this.currentRoom.createdBy,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            channel: this.currentRoom.channel
         };
         
         await this.ultrasonicComm.transmitData(roomUpdate);
@@ -456,52 +1165,29 @@ class ChatManager {
                 name: data.roomName,
                 isPrivate: data.isPrivate,
                 members: new Set(),
+                invited: new Set(),
+                inviters: new Set(),
                 createdBy: data.createdBy,
                 createdAt: data.timestamp,
-                encryptionKey: null
+                encryptionKey: null,
+                keyId: null,
+                keyEpoch: 0,
+                keys: new Map(),
+                channel: data.channel ?? this.ultrasonicComm.controlChannel
             };
             
             this.rooms.set(room.id, room);
-            console.log('发现公开聊天室:', room.name);
+            console.log('发现公开聊天室:', room.name, '信道:', room.channel);
         }
     }
     
-    // 简单的消息加密/解密（使用XOR）
-    encryptMessage(message, key) {
-        const messageBytes = new TextEncoder().encode(message);
-        const keyBytes = new TextEncoder().encode(key);
-        const encrypted = new Uint8Array(messageBytes.length);
-        
-        for (let i = 0; i < messageBytes.length; i++) {
-            encrypted[i] = messageBytes[i] ^ keyBytes[i % keyBytes.length];
-        }
-        
-        return Array.from(encrypted).map(b => b.toString(16).padStart(2, '0')).join('');
-    }
-    
-    decryptMessage(encryptedHex, key) {
-        const encrypted = new Uint8Array(encryptedHex.match(/.{2}/g).map(h => parseInt(h, 16)));
-        const keyBytes = new TextEncoder().encode(key);
-        const decrypted = new Uint8Array(encrypted.length);
-        
-        for (let i = 0; i < encrypted.length; i++) {
-            decrypted[i] = encrypted[i] ^ keyBytes[i % keyBytes.length];
-        }
-        
-        return new TextDecoder().decode(decrypted);
-    }
-    
     // 工具函数
     generateRoomId() {
-        return Math.random().toString(36).substr(2, 8);
+        return this.wire.randomId();
     }
     
     generateMessageId() {
-        return Math.random().toString(36).substr(2, 12);
-    }
-    
-    generateEncryptionKey() {
-        return Math.random().toString(36).substr(2, 16);
+        return this.wire.randomId();
     }
     
     // 获取消息历史
@@ -522,10 +1208,9 @@ class ChatManager {
     // 清理离线用户
     cleanupOfflineUsers() {
         const now = Date.now();
-        const timeout = 30000; // 30秒超时
         
         for (const [userId, user] of this.connectedUsers.entries()) {
-            if (now - user.lastSeen > timeout) {
+            if (now - user.lastSeen > this.ultrasonicComm.getPresenceTimeout(userId)) {
                 user.isOnline = false;
                 
                 if (this.onUserLeft) {
@@ -542,6 +1227,14 @@ class ChatManager {
     
     // 销毁
     destroy() {
+        for (const delivery of this.pendingDeliveries.values()) {
+            clearTimeout(delivery.timer);
+        }
+        this.pendingDeliveries.clear();
+        this.seenMessageIds.clear();
+        this.peerKeys.clear();
+        this.signers.clear();
+        
         this.leaveRoom();
         this.rooms.clear();
         this.connectedUsers.clear();
@@ -549,5 +1242,8 @@ class ChatManager {
     }
 }
 
-// 导出
-window.ChatManager = ChatManager; 
\ No newline at end of file
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.ChatManager = ChatManager;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChatManager };
+}
\ No newline at end of file
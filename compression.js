@@ -0,0 +1,228 @@
+/**
+ * 载荷压缩模块
+ * 针对短中文聊天文本的静态字典编码，可用时退回 deflate-raw
+ * 每帧首字节标明压缩方式，由发送方选择最短的结果
+ */
+
+// 静态字典：常用词在前，贪婪匹配时优先选择最长条目
+// 条目顺序即编码，只能追加不能修改；字典变化时需要使用新的压缩方式编号
+const CHAT_DICTIONARY_WORDS = [
+    '你好', '我们', '你们', '他们', '什么', '怎么', '没有', '可以', '知道', '现在',
+    '时候', '一下', '今天', '明天', '昨天', '谢谢', '哈哈', '好的', '收到', '在吗',
+    '吃饭', '一起', '这个', '那个', '为什么', '怎么样', '大家', '已经', '还是', '但是',
+    '因为', '所以', '如果', '然后', '就是', '不是', '还有', '觉得', '喜欢', '需要',
+    '应该', '可能', '问题', '时间', '地方', '东西', '朋友', '工作', '晚上', '早上',
+    '中午', '下午', '上午', '周末', '回家', '出去', '开会', '下班', '上班', '马上',
+    '等等', '一点', '有点', '真的', '不错', '没事', '不用', '麻烦', '辛苦', '加油',
+    '晚安', '早安', '再见', '拜拜', '好吧', '对了', '是的', '不好', '可是', '而且',
+    '或者', '一直', '自己', '一个', '聊天', '消息', '手机', '声音', '听到', '看到',
+    '这里', '那里', '哪里', '多少', '一样', '这样', '那样', '还没', '准备', '告诉',
+    '帮忙', '意思', '不会', '不能', '不要', '我的', '你的', '他的', '的话', '了吗',
+    '了吧', '啊啊', '嗯嗯', '哈哈哈', '没关系', '不知道', '对不起', '是不是', '有没有', '能不能'
+];
+
+const CHAT_DICTIONARY_CHARS =
+    '的一是不了人我在有他这中大来上个到说们为子和你地出道也时年得就那要下以生会自着去之过家学对可她里后小么心多天而能好都然没' +
+    '日于起还发成事只作当想看文无开手十用主行方又如前所本见经头面公同三已老从动两长知民样现分将外但身些与高意进把法此实回二理美点' +
+    '月明其种声全工己话儿者向情部正名定女问力机给等几很业最间新什打便位因重被走电四第门相次东海口使教西再平真听世气信北少关并内加' +
+    '化由却代产入先山五太水万市眼体别处总才场师书比住员九笑性通目华报立马命张活难神数件安表原车白应路期叫死常提感金何更反合放做系' +
+    '计或司利受光王果亲界及今京务制解各任至清物台象记边共风干接它许八特觉望直服林题建南度统色字请交爱让认算论百吃义科怎元社术结六' +
+    '功指思非流每青管夫连远资队跟带花快条院变联言权往展该领传近留红治决周保达办运半候七必城父强步完深区即求品转量空甚众技轻程告江' +
+    '语英基派满式李息写呢识极令黄德收脸钱倒未持取设始版双历越史商千片容研像找友孩站广改议形委早房音火际则首单据导影失拿网香似专石' +
+    '若弟谁校读志飞观争究包组造落视济喜离虽坏兴切热客愿哈吗啊吧呀哦嗯谢晚饭喝备刚吵累饿困忙哪妈爸哥姐妹班课考试玩游戏睡觉醒送买' +
+    '卖钟分秒号周末假休息病药医院路口楼门外边旁站等急慢快';
+
+const CHAT_DICTIONARY = (() => {
+    const seen = new Set();
+    const entries = [];
+    for (const entry of CHAT_DICTIONARY_WORDS.concat(Array.from(CHAT_DICTIONARY_CHARS))) {
+        if (!seen.has(entry)) {
+            seen.add(entry);
+            entries.push(entry);
+        }
+    }
+    return entries.slice(0, 510);
+})();
+
+class PayloadCompressor {
+    constructor() {
+        // 压缩方式
+        this.methods = {
+            none: 0,
+            dictionary: 1,
+            deflate: 2,
+            dictionaryDeflate: 3
+        };
+
+        // 两张字典表，转义字节在UTF-8中不会出现
+        this.escapeBytes = [0xFF, 0xFE];
+        this.tableSize = 255; // 索引255表示转义字节本身
+
+        this.textEncoder = new TextEncoder();
+        this.entries = CHAT_DICTIONARY.map(entry => this.textEncoder.encode(entry));
+
+        // 以前3个字节为键建立索引，同键条目按长度降序
+        this.index = new Map();
+        this.entries.forEach((bytes, code) => {
+            if (bytes.length < 3) return;
+            const key = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+            if (!this.index.has(key)) {
+                this.index.set(key, []);
+            }
+            this.index.get(key).push({ bytes, code });
+        });
+        for (const candidates of this.index.values()) {
+            candidates.sort((a, b) => b.bytes.length - a.bytes.length);
+        }
+    }
+
+    // 压缩：尝试各种方式，选择最短的结果
+    async compress(bytes) {
+        const candidates = [[this.methods.none, bytes]];
+
+        const dictionary = this.dictionaryEncode(bytes);
+        candidates.push([this.methods.dictionary, dictionary]);
+
+        if (this.supportsDeflate()) {
+            try {
+                candidates.push([this.methods.deflate, await this.deflate(bytes)]);
+                candidates.push([this.methods.dictionaryDeflate, await this.deflate(dictionary)]);
+            } catch (error) {
+                console.warn('deflate压缩失败:', error);
+            }
+        }
+
+        let [method, best] = candidates[0];
+        for (const [candidateMethod, candidate] of candidates) {
+            if (candidate.length < best.length) {
+                method = candidateMethod;
+                best = candidate;
+            }
+        }
+
+        const out = new Uint8Array(best.length + 1);
+        out[0] = method;
+        out.set(best, 1);
+        return out;
+    }
+
+    // 解压
+    async decompress(bytes) {
+        const method = bytes[0];
+        const body = bytes.subarray(1);
+
+        switch (method) {
+            case this.methods.none:
+                return body;
+            case this.methods.dictionary:
+                return this.dictionaryDecode(body);
+            case this.methods.deflate:
+                return this.inflate(body);
+            case this.methods.dictionaryDeflate:
+                return this.dictionaryDecode(await this.inflate(body));
+            default:
+                throw new Error(`未知的压缩方式: ${method}`);
+        }
+    }
+
+    // 字典编码：匹配到的条目替换为 [转义字节, 索引]
+    dictionaryEncode(bytes) {
+        const out = [];
+
+        for (let i = 0; i < bytes.length;) {
+            const match = this.findMatch(bytes, i);
+            if (match) {
+                out.push(this.escapeBytes[Math.floor(match.code / this.tableSize)], match.code % this.tableSize);
+                i += match.bytes.length;
+                continue;
+            }
+
+            const byte = bytes[i++];
+            if (this.escapeBytes.includes(byte)) {
+                out.push(byte, this.tableSize);
+            } else {
+                out.push(byte);
+            }
+        }
+
+        return Uint8Array.from(out);
+    }
+
+    dictionaryDecode(bytes) {
+        const out = [];
+
+        for (let i = 0; i < bytes.length; i++) {
+            const table = this.escapeBytes.indexOf(bytes[i]);
+            if (table === -1) {
+                out.push(bytes[i]);
+                continue;
+            }
+
+            if (i + 1 >= bytes.length) {
+                throw new Error('字典编码被截断');
+            }
+
+            const index = bytes[++i];
+            if (index === this.tableSize) {
+                out.push(this.escapeBytes[table]);
+                continue;
+            }
+
+            const entry = this.entries[table * this.tableSize + index];
+            if (!entry) {
+                throw new Error(`无效的字典索引: ${index}`);
+            }
+            for (const byte of entry) {
+                out.push(byte);
+            }
+        }
+
+        return Uint8Array.from(out);
+    }
+
+    findMatch(bytes, offset) {
+        if (offset + 3 > bytes.length) return null;
+
+        const key = (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+        const candidates = this.index.get(key);
+        if (!candidates) return null;
+
+        for (const candidate of candidates) {
+            if (offset + candidate.bytes.length > bytes.length) continue;
+
+            let matched = true;
+            for (let j = 3; j < candidate.bytes.length; j++) {
+                if (bytes[offset + j] !== candidate.bytes[j]) {
+                    matched = false;
+                    break;
+                }
+            }
+            if (matched) return candidate;
+        }
+
+        return null;
+    }
+
+    supportsDeflate() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    async deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async inflate(bytes) {
+        if (!this.supportsDeflate()) {
+            throw new Error('当前环境不支持deflate解压');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.PayloadCompressor = PayloadCompressor;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PayloadCompressor };
+}
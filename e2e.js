@@ -0,0 +1,263 @@
+/**
+ * 端到端加密模块
+ * ECDH(P-256)协商成员之间的两两密钥，AES-GCM加密聊天内容和分发群组密钥，ECDSA(P-256)签名聊天帧
+ * 基于WebCrypto，页面和Node中共用；公钥在线路上以33字节的压缩点传输
+ */
+
+class E2ECrypto {
+    constructor(subtle = globalThis.crypto.subtle) {
+        this.subtle = subtle;
+        this.curve = 'P-256';
+        this.nonceLength = 12; // AES-GCM每条消息随机生成的96位nonce
+        this.keyPair = null;
+        this.publicKey = null; // 压缩公钥
+
+        // P-256曲线参数 y² = x³ - 3x + b (mod p)，用于公钥点的压缩与解压
+        this.p = 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn;
+        this.b = 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn;
+
+        this.textEncoder = new TextEncoder();
+        this.textDecoder = new TextDecoder();
+    }
+
+    // 生成本次会话的ECDH密钥对，私钥不可导出
+    async init() {
+        this.keyPair = await this.subtle.generateKey({ name: 'ECDH', namedCurve: this.curve }, false, ['deriveBits']);
+        this.publicKey = this.compressPoint(new Uint8Array(await this.subtle.exportKey('raw', this.keyPair.publicKey)));
+    }
+
+    // 与对方公钥协商两两密钥：ECDH共享秘密经HKDF派生出AES-GCM密钥
+    // 盐为双方公钥按字节序拼接，两端得到相同的密钥；返回 { key, secret, salt }，secret 可继续派生其他用途的密钥
+    async derivePairwise(peerPublicKey) {
+        const peer = await this.subtle.importKey('raw', this.decompressPoint(peerPublicKey), { name: 'ECDH', namedCurve: this.curve }, false, []);
+        const bits = await this.subtle.deriveBits({ name: 'ECDH', public: peer }, this.keyPair.privateKey, 256);
+        const secret = await this.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey', 'deriveBits']);
+
+        const salt = this.concat(...[this.publicKey, peerPublicKey].sort((a, b) => this.compareBytes(a, b)));
+        const key = await this.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: salt, info: this.textEncoder.encode('chaos-chat pairwise key') },
+            secret,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+
+        return { key, secret, salt };
+    }
+
+    // 安全码：由两两协商的共享秘密派生的6位数字，双方当面核对一致即可确认没有中间人
+    // 中间人分别与双方协商出不同的共享秘密，两边的安全码只有百万分之一的机会相同
+    // context 为同时绑定的其他公钥（双方的签名公钥），两端需按相同顺序传入
+    async deriveSafetyCode(pairwise, context = new Uint8Array(0)) {
+        const info = this.concat(this.textEncoder.encode('chaos-chat safety code'), context);
+        const bits = await this.subtle.deriveBits(
+            { name: 'HKDF', hash: 'SHA-256', salt: pairwise.salt, info: info },
+            pairwise.secret,
+            32
+        );
+        const code = String(new DataView(bits).getUint32(0) % 1000000).padStart(6, '0');
+        return `${code.slice(0, 3)} ${code.slice(3)}`;
+    }
+
+    // 签名密钥对（ECDSA P-256），由 IdentityStore 持久保存；私钥可导出，仅用于口令加密的身份备份
+    async generateSigningKey() {
+        return this.subtle.generateKey({ name: 'ECDSA', namedCurve: this.curve }, true, ['sign', 'verify']);
+    }
+
+    async exportSigningKey(privateKey) {
+        return new Uint8Array(await this.subtle.exportKey('pkcs8', privateKey));
+    }
+
+    // 从PKCS#8私钥恢复签名密钥对，公钥取自私钥的JWK中的X、Y坐标
+    async importSigningKey(pkcs8) {
+        const algorithm = { name: 'ECDSA', namedCurve: this.curve };
+        const privateKey = await this.subtle.importKey('pkcs8', pkcs8, algorithm, true, ['sign']);
+        const { kty, crv, x, y } = await this.subtle.exportKey('jwk', privateKey);
+        const publicKey = await this.subtle.importKey('jwk', { kty, crv, x, y }, algorithm, true, ['verify']);
+        return { privateKey, publicKey };
+    }
+
+    async exportPublicKey(publicKey) {
+        return this.compressPoint(new Uint8Array(await this.subtle.exportKey('raw', publicKey)));
+    }
+
+    // 签名为64字节的 r|s
+    async sign(privateKey, data) {
+        return new Uint8Array(await this.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, data));
+    }
+
+    // 用压缩的签名公钥验证签名，公钥或签名格式无效时返回 false
+    async verify(publicKey, signature, data) {
+        try {
+            const key = await this.subtle.importKey('raw', this.decompressPoint(publicKey), { name: 'ECDSA', namedCurve: this.curve }, false, ['verify']);
+            return await this.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, signature, data);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // 由口令派生AES-GCM密钥（PBKDF2-SHA256），用于加密身份备份
+    async deriveKeyFromPassphrase(passphrase, salt, iterations) {
+        const material = await this.subtle.importKey('raw', this.textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return this.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async digest(data) {
+        return new Uint8Array(await this.subtle.digest('SHA-256', data));
+    }
+
+    // 群组密钥可导出，以便成员用两两密钥加密后转交给新成员
+    async generateGroupKey() {
+        return this.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    }
+
+    // 加密：输出 nonce + 密文（含16字节认证标签），aad 为参与认证但不加密的附加数据
+    async encrypt(key, plaintext, aad) {
+        const nonce = crypto.getRandomValues(new Uint8Array(this.nonceLength));
+        const ciphertext = await this.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: aad }, key, plaintext);
+        return this.concat(nonce, new Uint8Array(ciphertext));
+    }
+
+    // 解密：密钥错误、密文被篡改或附加数据不符时抛出异常
+    async decrypt(key, sealed, aad) {
+        const nonce = sealed.subarray(0, this.nonceLength);
+        const plaintext = await this.subtle.decrypt({ name: 'AES-GCM', iv: nonce, additionalData: aad }, key, sealed.subarray(this.nonceLength));
+        return new Uint8Array(plaintext);
+    }
+
+    async encryptText(key, text, aad) {
+        return this.encrypt(key, this.textEncoder.encode(text), aad);
+    }
+
+    async decryptText(key, sealed, aad) {
+        return this.textDecoder.decode(await this.decrypt(key, sealed, aad));
+    }
+
+    // 用两两密钥加密群组密钥
+    async wrapGroupKey(groupKey, pairwiseKey, aad) {
+        return this.encrypt(pairwiseKey, new Uint8Array(await this.subtle.exportKey('raw', groupKey)), aad);
+    }
+
+    async unwrapGroupKey(wrapped, pairwiseKey, aad) {
+        const raw = await this.decrypt(pairwiseKey, wrapped, aad);
+        return this.subtle.importKey('raw', raw, 'AES-GCM', true, ['encrypt', 'decrypt']);
+    }
+
+    // 附加数据：把帧中的房间、发送方等字段绑定到密文上，防止密文被挪到其他帧中使用
+    associatedData(...parts) {
+        return this.textEncoder.encode(parts.join('|'));
+    }
+
+    // 未压缩点 04|X|Y 压缩为 02/03|X，前缀表示Y的奇偶
+    compressPoint(raw) {
+        if (raw.length !== 65 || raw[0] !== 0x04) {
+            throw new Error('无效的公钥');
+        }
+        const out = raw.slice(0, 33);
+        out[0] = 0x02 | (raw[64] & 1);
+        return out;
+    }
+
+    // 由X求出Y：p ≡ 3 (mod 4)，平方根为 a^((p+1)/4)
+    decompressPoint(compressed) {
+        if (!(compressed instanceof Uint8Array) || compressed.length !== 33 || (compressed[0] !== 0x02 && compressed[0] !== 0x03)) {
+            throw new Error('无效的公钥');
+        }
+
+        const p = this.p;
+        const x = this.bytesToBigInt(compressed.subarray(1));
+        if (x >= p) {
+            throw new Error('无效的公钥');
+        }
+
+        const rhs = (this.modPow(x, 3n, p) - 3n * x + this.b) % p;
+        const alpha = (rhs + p) % p;
+        let y = this.modPow(alpha, (p + 1n) / 4n, p);
+        if ((y * y) % p !== alpha) {
+            throw new Error('无效的公钥');
+        }
+        if (Number(y & 1n) !== (compressed[0] & 1)) {
+            y = p - y;
+        }
+
+        const raw = new Uint8Array(65);
+        raw[0] = 0x04;
+        raw.set(compressed.subarray(1), 1);
+        raw.set(this.bigIntToBytes(y, 32), 33);
+        return raw;
+    }
+
+    modPow(base, exponent, modulus) {
+        let result = 1n;
+        base %= modulus;
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = (result * base) % modulus;
+            }
+            base = (base * base) % modulus;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    bytesToBigInt(bytes) {
+        let value = 0n;
+        for (const byte of bytes) {
+            value = (value << 8n) | BigInt(byte);
+        }
+        return value;
+    }
+
+    bigIntToBytes(value, length) {
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = Number(value & 0xffn);
+            value >>= 8n;
+        }
+        return bytes;
+    }
+
+    concat(...arrays) {
+        const out = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+        let offset = 0;
+        for (const array of arrays) {
+            out.set(array, offset);
+            offset += array.length;
+        }
+        return out;
+    }
+
+    compareBytes(a, b) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return a.length - b.length;
+    }
+
+    bytesEqual(a, b) {
+        return a.length === b.length && this.compareBytes(a, b) === 0;
+    }
+
+    bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    hexToBytes(hex) {
+        if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/i.test(hex)) {
+            throw new Error('无效的十六进制数据');
+        }
+        return new Uint8Array(hex.match(/../g)?.map(byte => parseInt(byte, 16)) || []);
+    }
+}
+
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.E2ECrypto = E2ECrypto;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { E2ECrypto };
+}
@@ -0,0 +1,340 @@
+/**
+ * 前向纠错模块
+ * GF(256)上的Reed-Solomon编解码，配合字节交织抵抗突发错误
+ */
+
+class ReedSolomon {
+    constructor() {
+        // GF(256)指数/对数表，本原多项式 x^8+x^4+x^3+x^2+1
+        this.exp = new Uint8Array(512);
+        this.log = new Uint8Array(256);
+
+        let x = 1;
+        for (let i = 0; i < 255; i++) {
+            this.exp[i] = x;
+            this.log[x] = i;
+            x <<= 1;
+            if (x & 0x100) {
+                x ^= 0x11d;
+            }
+        }
+        for (let i = 255; i < 512; i++) {
+            this.exp[i] = this.exp[i - 255];
+        }
+
+        this.generatorCache = new Map();
+    }
+
+    // 有限域运算
+    mul(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.exp[this.log[a] + this.log[b]];
+    }
+
+    div(a, b) {
+        if (b === 0) throw new Error('GF(256)除零');
+        if (a === 0) return 0;
+        return this.exp[(this.log[a] + 255 - this.log[b]) % 255];
+    }
+
+    pow(a, n) {
+        return this.exp[(this.log[a] * n) % 255];
+    }
+
+    inverse(a) {
+        return this.exp[255 - this.log[a]];
+    }
+
+    // 多项式运算（高次项在前）
+    polyScale(p, x) {
+        return p.map(c => this.mul(c, x));
+    }
+
+    polyAdd(p, q) {
+        const result = new Array(Math.max(p.length, q.length)).fill(0);
+        for (let i = 0; i < p.length; i++) {
+            result[i + result.length - p.length] = p[i];
+        }
+        for (let i = 0; i < q.length; i++) {
+            result[i + result.length - q.length] ^= q[i];
+        }
+        return result;
+    }
+
+    polyMul(p, q) {
+        const result = new Array(p.length + q.length - 1).fill(0);
+        for (let j = 0; j < q.length; j++) {
+            for (let i = 0; i < p.length; i++) {
+                result[i + j] ^= this.mul(p[i], q[j]);
+            }
+        }
+        return result;
+    }
+
+    polyEval(p, x) {
+        let y = p[0];
+        for (let i = 1; i < p.length; i++) {
+            y = this.mul(y, x) ^ p[i];
+        }
+        return y;
+    }
+
+    // 生成多项式
+    generator(nsym) {
+        if (!this.generatorCache.has(nsym)) {
+            let g = [1];
+            for (let i = 0; i < nsym; i++) {
+                g = this.polyMul(g, [1, this.pow(2, i)]);
+            }
+            this.generatorCache.set(nsym, g);
+        }
+        return this.generatorCache.get(nsym);
+    }
+
+    // 编码：返回 数据 + nsym个校验字节
+    encode(data, nsym) {
+        if (data.length + nsym > 255) {
+            throw new Error(`RS码字过长: ${data.length + nsym} > 255`);
+        }
+
+        const gen = this.generator(nsym);
+        const out = new Uint8Array(data.length + nsym);
+        out.set(data);
+
+        // 多项式长除法求余数
+        for (let i = 0; i < data.length; i++) {
+            const coef = out[i];
+            if (coef !== 0) {
+                for (let j = 1; j < gen.length; j++) {
+                    out[i + j] ^= this.mul(gen[j], coef);
+                }
+            }
+        }
+
+        out.set(data);
+        return out;
+    }
+
+    // 解码：返回 { data, codeword, corrected }，无法纠正时返回 null
+    decode(codeword, nsym) {
+        const msg = Array.from(codeword);
+        const synd = this.calcSyndromes(msg, nsym);
+
+        if (synd.every(s => s === 0)) {
+            return {
+                data: Uint8Array.from(msg.slice(0, msg.length - nsym)),
+                codeword: Uint8Array.from(msg),
+                corrected: 0
+            };
+        }
+
+        const errLoc = this.findErrorLocator(synd, nsym);
+        if (!errLoc) return null;
+
+        const errPos = this.findErrors(errLoc.slice().reverse(), msg.length);
+        if (!errPos) return null;
+
+        this.correctErrata(msg, synd, errPos);
+
+        // 纠正后再次校验，避免误纠
+        if (!this.calcSyndromes(msg, nsym).every(s => s === 0)) {
+            return null;
+        }
+
+        return {
+            data: Uint8Array.from(msg.slice(0, msg.length - nsym)),
+            codeword: Uint8Array.from(msg),
+            corrected: errPos.length
+        };
+    }
+
+    calcSyndromes(msg, nsym) {
+        const synd = new Array(nsym);
+        for (let i = 0; i < nsym; i++) {
+            synd[i] = this.polyEval(msg, this.pow(2, i));
+        }
+        return synd;
+    }
+
+    // Berlekamp-Massey求错误位置多项式
+    findErrorLocator(synd, nsym) {
+        let errLoc = [1];
+        let oldLoc = [1];
+
+        for (let i = 0; i < nsym; i++) {
+            let delta = synd[i];
+            for (let j = 1; j < errLoc.length; j++) {
+                delta ^= this.mul(errLoc[errLoc.length - 1 - j], synd[i - j]);
+            }
+
+            oldLoc = oldLoc.concat([0]);
+
+            if (delta !== 0) {
+                if (oldLoc.length > errLoc.length) {
+                    const newLoc = this.polyScale(oldLoc, delta);
+                    oldLoc = this.polyScale(errLoc, this.inverse(delta));
+                    errLoc = newLoc;
+                }
+                errLoc = this.polyAdd(errLoc, this.polyScale(oldLoc, delta));
+            }
+        }
+
+        while (errLoc.length && errLoc[0] === 0) {
+            errLoc.shift();
+        }
+
+        const errCount = errLoc.length - 1;
+        if (errCount * 2 > nsym) return null;
+
+        return errLoc;
+    }
+
+    // Chien搜索
+    findErrors(errLocReversed, length) {
+        const errCount = errLocReversed.length - 1;
+        const positions = [];
+
+        for (let i = 0; i < length; i++) {
+            if (this.polyEval(errLocReversed, this.pow(2, i)) === 0) {
+                positions.push(length - 1 - i);
+            }
+        }
+
+        if (positions.length !== errCount) return null;
+        return positions;
+    }
+
+    // Forney算法计算错误值
+    correctErrata(msg, synd, errPos) {
+        const coefPos = errPos.map(p => msg.length - 1 - p);
+
+        // 错误位置多项式
+        let errLoc = [1];
+        for (const i of coefPos) {
+            errLoc = this.polyMul(errLoc, this.polyAdd([1], [this.pow(2, i), 0]));
+        }
+
+        // 错误值多项式（伴随式前补0）
+        const syndRev = [0, ...synd].reverse();
+        let errEval = this.polyMul(syndRev, errLoc);
+        errEval = errEval.slice(errEval.length - errLoc.length);
+
+        const X = coefPos.map(i => this.pow(2, i));
+
+        for (let i = 0; i < X.length; i++) {
+            const xiInv = this.inverse(X[i]);
+
+            let locPrime = 1;
+            for (let j = 0; j < X.length; j++) {
+                if (j !== i) {
+                    locPrime = this.mul(locPrime, 1 ^ this.mul(xiInv, X[j]));
+                }
+            }
+
+            const y = this.mul(this.polyEval(errEval, xiInv), X[i]);
+            msg[errPos[i]] ^= this.div(y, locPrime);
+        }
+    }
+}
+
+class FECCodec {
+    constructor() {
+        this.rs = new ReedSolomon();
+    }
+
+    // 计算分块大小
+    blockLengths(dataLength, blockSize) {
+        const lengths = [];
+        for (let remaining = dataLength; remaining > 0; remaining -= blockSize) {
+            lengths.push(Math.min(blockSize, remaining));
+        }
+        return lengths;
+    }
+
+    // 编码后的总长度
+    encodedLength(dataLength, blockSize, parity) {
+        return dataLength + this.blockLengths(dataLength, blockSize).length * parity;
+    }
+
+    // 分块编码并交织
+    encode(data, blockSize, parity) {
+        const codewords = [];
+        for (let offset = 0; offset < data.length; offset += blockSize) {
+            codewords.push(this.rs.encode(data.subarray(offset, offset + blockSize), parity));
+        }
+        return this.interleave(codewords);
+    }
+
+    // 解交织并逐块纠错，返回 { data, correctedBits } 或 null
+    decode(encoded, dataLength, blockSize, parity) {
+        const codewordLengths = this.blockLengths(dataLength, blockSize).map(len => len + parity);
+        const codewords = this.deinterleave(encoded, codewordLengths);
+
+        const data = new Uint8Array(dataLength);
+        let correctedBits = 0;
+        let offset = 0;
+
+        for (const codeword of codewords) {
+            const result = this.rs.decode(codeword, parity);
+            if (!result) return null;
+
+            correctedBits += this.countBitErrors(codeword, result.codeword);
+            data.set(result.data, offset);
+            offset += result.data.length;
+        }
+
+        return { data, correctedBits };
+    }
+
+    // 统计纠正的比特数
+    countBitErrors(received, corrected) {
+        let bits = 0;
+        for (let i = 0; i < corrected.length; i++) {
+            let diff = received[i] ^ corrected[i];
+            while (diff) {
+                bits += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return bits;
+    }
+
+    // 字节交织：按列依次输出各码字，突发错误被分散到不同码字
+    interleave(codewords) {
+        const total = codewords.reduce((sum, cw) => sum + cw.length, 0);
+        const maxLength = Math.max(0, ...codewords.map(cw => cw.length));
+        const out = new Uint8Array(total);
+
+        let index = 0;
+        for (let col = 0; col < maxLength; col++) {
+            for (const cw of codewords) {
+                if (col < cw.length) {
+                    out[index++] = cw[col];
+                }
+            }
+        }
+        return out;
+    }
+
+    deinterleave(encoded, codewordLengths) {
+        const codewords = codewordLengths.map(len => new Uint8Array(len));
+        const maxLength = Math.max(0, ...codewordLengths);
+
+        let index = 0;
+        for (let col = 0; col < maxLength; col++) {
+            for (const cw of codewords) {
+                if (col < cw.length) {
+                    cw[col] = encoded[index++];
+                }
+            }
+        }
+        return codewords;
+    }
+}
+
+// 导出：页面和AudioWorklet中为全局变量，Node中同时作为CommonJS模块
+globalThis.ReedSolomon = ReedSolomon;
+globalThis.FECCodec = FECCodec;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReedSolomon, FECCodec };
+}
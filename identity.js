@@ -0,0 +1,202 @@
+/**
+ * 身份密钥模块
+ * 每个用户持有一对持久的ECDSA(P-256)签名密钥，保存在IndexedDB中；用户ID和指纹由公钥的SHA-256派生，刷新页面后不变
+ * 聊天帧附带64字节的签名，接收方据此确认帧确实由声称的发送方发出（见 chat.js）
+ * 私钥只以口令加密的备份文件形式导出，用于换设备或清除浏览器数据后恢复身份
+ */
+
+// Node中加载依赖；页面中由index.html按顺序引入
+if (typeof module !== 'undefined' && module.exports) {
+    require('./e2e.js');
+}
+
+class IdentityStore {
+    // options.indexedDB: IndexedDB实现，默认为页面的 indexedDB；不可用时（Node、模拟器）每次启动生成新的密钥
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'chaos-chat-identity';
+        this.storeName = 'keys';
+        this.indexedDB = options.indexedDB || globalThis.indexedDB;
+        this.crypto = options.crypto || new E2ECrypto();
+        this.db = null;
+        this.keyPair = null;
+        this.publicKey = null; // 压缩的签名公钥
+        this.userId = null;
+        this.loading = null;
+
+        this.backupFormat = 'chaos-chat-identity';
+        this.backupIterations = 600000;
+    }
+
+    isPersistent() {
+        return !!this.indexedDB;
+    }
+
+    // 读取保存的签名密钥，没有时生成并保存；只执行一次，之后返回同一个Promise
+    load() {
+        if (!this.loading) {
+            this.loading = this.loadKeyPair();
+        }
+        return this.loading;
+    }
+
+    async loadKeyPair() {
+        let keyPair = null;
+        if (this.isPersistent()) {
+            try {
+                keyPair = await this.readKey('signing');
+            } catch (error) {
+                console.warn('读取身份密钥失败:', error);
+            }
+        }
+
+        if (!keyPair) {
+            keyPair = await this.crypto.generateSigningKey();
+            if (this.isPersistent()) {
+                try {
+                    await this.writeKey('signing', keyPair);
+                } catch (error) {
+                    console.warn('保存身份密钥失败，本次会话使用临时密钥:', error);
+                }
+            }
+        }
+
+        await this.useKeyPair(keyPair);
+    }
+
+    async useKeyPair(keyPair) {
+        this.keyPair = keyPair;
+        this.publicKey = await this.crypto.exportPublicKey(keyPair.publicKey);
+        this.userId = await this.deriveUserId(this.publicKey);
+    }
+
+    // 用户ID：签名公钥SHA-256的前8字节（十六进制），与线路格式中的 uid 字段等长
+    // 接收方据此检查帧中附带的签名公钥与声称的用户ID是否相符；64位使穷举出相同ID的另一把公钥不再可行
+    async deriveUserId(publicKey) {
+        return this.crypto.bytesToHex((await this.crypto.digest(publicKey)).subarray(0, 8));
+    }
+
+    // 指纹：签名公钥SHA-256的前16字节，每4个十六进制字符一组，用于在设置中展示和人工比对
+    async getFingerprint() {
+        await this.load();
+        const hex = this.crypto.bytesToHex((await this.crypto.digest(this.publicKey)).subarray(0, 16));
+        return hex.match(/.{4}/g).join(' ');
+    }
+
+    // 对 data 签名，返回64字节签名
+    async sign(data) {
+        await this.load();
+        return this.crypto.sign(this.keyPair.privateKey, data);
+    }
+
+    // 导出身份备份：私钥用口令经PBKDF2派生的密钥以AES-GCM加密，返回JSON文本
+    async exportBackup(passphrase) {
+        if (!passphrase) {
+            throw new Error('需要备份口令');
+        }
+        await this.load();
+        if (!this.keyPair.privateKey.extractable) {
+            throw new Error('当前身份密钥不可导出');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.crypto.deriveKeyFromPassphrase(passphrase, salt, this.backupIterations);
+        const privateKey = await this.crypto.exportSigningKey(this.keyPair.privateKey);
+        const sealed = await this.crypto.encrypt(key, privateKey, this.backupAssociatedData(this.publicKey));
+
+        return JSON.stringify({
+            format: this.backupFormat,
+            version: 1,
+            userId: this.userId,
+            publicKey: this.crypto.bytesToHex(this.publicKey),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.backupIterations, salt: this.crypto.bytesToHex(salt) },
+            privateKey: this.crypto.bytesToHex(sealed)
+        }, null, 2);
+    }
+
+    // 导入身份备份并替换当前身份，返回新的用户ID；口令错误或文件损坏时抛出异常
+    // 用户ID在启动时确定，导入后需重新加载页面
+    async importBackup(text, passphrase) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('不是有效的身份备份文件');
+        }
+        const iterations = backup?.kdf?.iterations;
+        if (backup?.format !== this.backupFormat || backup.version !== 1 || backup.kdf.name !== 'PBKDF2' ||
+            !Number.isInteger(iterations) || iterations < 100000 || iterations > 10000000) {
+            throw new Error('不是有效的身份备份文件');
+        }
+
+        const publicKey = this.crypto.hexToBytes(backup.publicKey);
+        const key = await this.crypto.deriveKeyFromPassphrase(passphrase, this.crypto.hexToBytes(backup.kdf.salt), iterations);
+
+        let keyPair;
+        try {
+            const privateKey = await this.crypto.decrypt(key, this.crypto.hexToBytes(backup.privateKey), this.backupAssociatedData(publicKey));
+            keyPair = await this.crypto.importSigningKey(privateKey);
+        } catch (error) {
+            throw new Error('口令错误或备份文件已损坏');
+        }
+        if (!this.crypto.bytesEqual(await this.crypto.exportPublicKey(keyPair.publicKey), publicKey)) {
+            throw new Error('备份文件中的公钥与私钥不符');
+        }
+
+        await this.load();
+        if (this.isPersistent()) {
+            await this.writeKey('signing', keyPair);
+        }
+        await this.useKeyPair(keyPair);
+        return this.userId;
+    }
+
+    // 备份的密文绑定格式和公钥，防止把别的备份中的密文换进来
+    backupAssociatedData(publicKey) {
+        return this.crypto.associatedData(this.backupFormat, this.crypto.bytesToHex(publicKey));
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName);
+        };
+        this.db = await this.request(request);
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // IndexedDB请求转为Promise
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // CryptoKey 可以直接存入IndexedDB，不可导出的私钥在存取时保持不可导出
+    async readKey(name) {
+        const db = await this.open();
+        const transaction = db.transaction(this.storeName, 'readonly');
+        return (await this.request(transaction.objectStore(this.storeName).get(name))) || null;
+    }
+
+    async writeKey(name, keyPair) {
+        const db = await this.open();
+        const transaction = db.transaction(this.storeName, 'readwrite');
+        await this.request(transaction.objectStore(this.storeName).put(keyPair, name));
+    }
+}
+
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.IdentityStore = IdentityStore;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IdentityStore };
+}
@@ -0,0 +1,435 @@
+/**
+ * 调制解调命令行工具
+ * 现场调试用：把消息编码为WAV、把录音解码为数据包，以及分析录音中的音调、符号定时、校验失败和信噪比
+ * 频段与信道规划、线路格式、压缩和组帧与页面中的 UltrasonicComm 完全相同
+ *
+ * 用法:
+ *   node modem-cli.js encode (--text <文本> | --json <JSON> | --json-file <文件>) -o <输出.wav> [选项]
+ *   node modem-cli.js decode <录音.wav> [--mode <频段>] [--channel <信道>] [--format json]
+ *   node modem-cli.js analyze <录音.wav> [--mode <频段>] [--channel <信道>] [--format json]
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+require('./ultrasonic.js');
+require('./chat.js');
+
+class ModemTool {
+    // options: { sampleRate, username }
+    constructor(options = {}) {
+        const sampleRate = options.sampleRate || 48000;
+        const settings = new Map([['username', options.username || 'modem-cli']]);
+
+        // 离线音频环境：只提供采样率，不播放也不录音
+        this.comm = new UltrasonicComm({
+            audio: {
+                createContext: () => ({ sampleRate: sampleRate, state: 'running', close() {} }),
+                getUserMedia: async () => {
+                    throw new Error('命令行工具不使用麦克风');
+                },
+                createWorkletNode: () => {
+                    throw new Error('命令行工具不使用AudioWorklet');
+                }
+            },
+            storage: {
+                getItem: (key) => settings.get(key) ?? null,
+                setItem: (key, value) => settings.set(key, String(value))
+            }
+        });
+
+        this.chat = null;
+        this.modem = this.comm.modem;
+    }
+
+    // 等待身份密钥载入（用户ID由其派生）后注册聊天消息类型，使聊天消息按与页面相同的线路格式编解码
+    async init() {
+        await this.comm.ready;
+        this.chat = new ChatManager(this.comm);
+    }
+
+    // 按 sendMessage 的格式构造一条聊天消息；不带签名，页面中显示为未验证
+    createChatMessage(content, options = {}) {
+        return {
+            type: 'chat',
+            messageId: this.comm.wire.randomId(),
+            roomId: options.roomId || this.comm.wire.randomId(),
+            fromUserId: options.userId || this.comm.myUserId,
+            fromUsername: options.username || this.comm.getUsername(),
+            content: content,
+            messageType: 'text',
+            isEncrypted: false,
+            timestamp: Date.now()
+        };
+    }
+
+    // 编码为WAV，返回 { bytes, profile, fragments, duration }
+    // options: { mode, channel, profile, gap, bitsPerSample }
+    async encode(data, options = {}) {
+        const mode = options.mode || this.comm.currentMode;
+        const channel = options.channel ?? this.comm.controlChannel;
+        if (!this.comm.config[mode]) {
+            throw new Error(`未知的频段: ${mode}`);
+        }
+        if (!this.comm.config[mode].channels[channel]) {
+            throw new Error(`未知的信道: ${channel}`);
+        }
+        if (options.profile) {
+            if (!this.comm.config[mode].profiles[options.profile]) {
+                throw new Error(`未知的调制方式: ${options.profile}`);
+            }
+            this.comm.setProfile(options.profile);
+        }
+
+        // 所选调制方式在信道上不可用时与页面一样改用信道支持的最高阶调制方式
+        const profile = this.comm.getTransmitProfile(mode, channel);
+        const samples = await this.comm.renderMessage(data, { mode, channel, profile, gap: options.gap });
+        const payload = await this.comm.compressor.compress(this.comm.serializeData(data));
+
+        return {
+            bytes: this.comm.wav.encode(samples, this.comm.sampleRate, options.bitsPerSample || 16),
+            profile: profile,
+            fragments: Math.max(1, Math.ceil(payload.length / this.modem.maxFragmentData)),
+            duration: samples.length / this.comm.sampleRate
+        };
+    }
+
+    // 解码WAV，返回 { sampleRate, duration, packets, messages }
+    // packets 为 handleReceivedPacket 会收到的数据包（含无法纠正的帧），附带解析出的分片头
+    async decode(bytes, options = {}) {
+        const result = await this.comm.decodeWav(bytes, this.getDecodeOptions(options));
+
+        for (const packet of result.packets) {
+            if (!packet.failed && packet.payload.length >= this.modem.fragmentHeaderLength) {
+                packet.fragment = this.modem.parseFragmentHeader(packet.payload);
+            }
+        }
+
+        return result;
+    }
+
+    // 分析WAV：各（频段, 信道）上检测到的音调、每次锁定的符号定时、帧的校验结果和信噪比
+    analyze(bytes, options = {}) {
+        const { sampleRate, samples } = this.comm.wav.decode(bytes);
+        const links = new Map();
+
+        const getLink = (mode, channel) => {
+            const key = `${mode}:${channel}`;
+            if (!links.has(key)) {
+                const link = this.modem.getLink(mode, channel);
+                links.set(key, {
+                    mode: mode,
+                    channel: channel,
+                    symbolRate: link.symbolRate,
+                    frequencies: link.tones,
+                    tones: new Map(), // 音调网格序号 -> { count, strength }
+                    noiseFloor: null,
+                    threshold: null,
+                    segments: [],
+                    current: null
+                });
+            }
+            return links.get(key);
+        };
+
+        const result = this.modem.decodeSamples(samples, sampleRate, {
+            ...this.getDecodeOptions(options),
+            onEvent: (event) => {
+                const link = getLink(event.mode, event.channel);
+
+                if (event.type === 'level') {
+                    link.noiseFloor = event.noiseFloor;
+                    link.threshold = event.threshold;
+                } else if (event.type === 'lock') {
+                    link.current = { start: event.timestamp, noiseFloor: link.noiseFloor, symbols: [] };
+                    link.segments.push(link.current);
+                } else if (event.type === 'symbol' && link.current) {
+                    link.current.symbols.push(event);
+
+                    const tone = link.tones.get(event.tone) || { count: 0, strength: 0 };
+                    tone.count++;
+                    tone.strength += event.strength;
+                    link.tones.set(event.tone, tone);
+                } else if (event.type === 'unlock' && link.current) {
+                    link.current.end = event.timestamp;
+                    link.current.drift = event.drift;
+                    link.current = null;
+                }
+            }
+        });
+
+        // 数据包按帧结束时刻归入所在的锁定区间
+        for (const packet of result.packets) {
+            const link = getLink(packet.mode, packet.channel);
+            const segment = link.segments.find(s => packet.time >= s.start && packet.time <= (s.end ?? Infinity));
+            if (segment) {
+                (segment.packets = segment.packets || []).push(packet);
+            }
+        }
+
+        return {
+            sampleRate: result.sampleRate,
+            duration: result.duration,
+            links: [...links.values()]
+                .filter(link => link.segments.length > 0)
+                .map(link => this.summarizeLink(link))
+        };
+    }
+
+    getDecodeOptions(options) {
+        return {
+            modes: options.mode ? [options.mode] : undefined,
+            channels: options.channel !== undefined ? [options.channel] : undefined
+        };
+    }
+
+    summarizeLink(link) {
+        const totalSymbols = [...link.tones.values()].reduce((sum, tone) => sum + tone.count, 0);
+        const gridFrequencies = this.modem.getToneFrequencies(link.mode);
+        const packets = link.segments.flatMap(segment => segment.packets || []);
+
+        return {
+            mode: link.mode,
+            channel: link.channel,
+            symbolRate: link.symbolRate,
+            frequencies: link.frequencies,
+            noiseFloor: link.noiseFloor,
+            threshold: link.threshold,
+            tones: [...link.tones.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([tone, stats]) => ({
+                    tone: tone,
+                    frequency: gridFrequencies[tone],
+                    count: stats.count,
+                    share: stats.count / totalSymbols,
+                    strength: stats.strength / stats.count
+                })),
+            segments: link.segments.map(segment => this.summarizeSegment(segment, link)),
+            packets: {
+                ok: packets.filter(packet => !packet.failed).length,
+                fec: packets.filter(packet => packet.reason === 'fec').length,
+                crc: packets.filter(packet => packet.reason === 'crc').length
+            }
+        };
+    }
+
+    // 一次锁定的符号定时：实测符号周期与标称值的偏差、符号间隔抖动、解调器估计的时钟偏差、置信度和信噪比
+    summarizeSegment(segment, link) {
+        const symbols = segment.symbols;
+        const nominal = 1 / link.symbolRate;
+        const summary = {
+            start: segment.start,
+            end: segment.end ?? null,
+            symbols: symbols.length,
+            period: null,
+            periodError: null,
+            jitter: null,
+            drift: segment.drift ?? (symbols.length ? symbols[symbols.length - 1].drift : null),
+            confidence: null,
+            snr: null,
+            packets: (segment.packets || []).map(packet => ({
+                time: packet.time,
+                profile: packet.profile,
+                status: packet.failed ? packet.reason : 'ok',
+                length: packet.length,
+                correctedBits: packet.correctedBits ?? null,
+                confidence: packet.confidence
+            }))
+        };
+        if (symbols.length === 0) return summary;
+
+        summary.confidence = symbols.reduce((sum, symbol) => sum + symbol.confidence, 0) / symbols.length;
+
+        const strength = symbols.reduce((sum, symbol) => sum + symbol.strength, 0) / symbols.length;
+        if (segment.noiseFloor) {
+            summary.snr = 20 * Math.log10(strength / segment.noiseFloor);
+        }
+
+        if (symbols.length >= 2) {
+            const period = (symbols[symbols.length - 1].timestamp - symbols[0].timestamp) / (symbols.length - 1);
+            let variance = 0;
+            for (let i = 1; i < symbols.length; i++) {
+                const deviation = symbols[i].timestamp - symbols[i - 1].timestamp - period;
+                variance += deviation * deviation;
+            }
+            summary.period = period;
+            summary.periodError = (period / nominal - 1) * 1e6;
+            summary.jitter = Math.sqrt(variance / (symbols.length - 1));
+        }
+
+        return summary;
+    }
+}
+
+// 十六进制显示字节
+function toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+function formatNumber(value, digits, unit = '') {
+    return value === null || value === undefined ? '-' : `${value.toFixed(digits)}${unit}`;
+}
+
+// 音调幅度换算为dB（满幅正弦为 -6 dB）
+function formatLevel(value) {
+    return value ? `${(20 * Math.log10(value)).toFixed(1)} dB` : '-';
+}
+
+function printDecode(result, print) {
+    print(`采样率 ${result.sampleRate} Hz，时长 ${result.duration.toFixed(2)} s，${result.packets.length} 个数据包，${result.messages.length} 条消息`);
+
+    for (const packet of result.packets) {
+        const head = `${packet.time.toFixed(2)}s ${packet.mode}:${packet.channel} ${packet.profile}`;
+        if (packet.failed) {
+            print(`  ${head} 失败(${packet.reason === 'crc' ? 'CRC校验' : 'FEC纠错'}) ${packet.length} 字节`);
+            continue;
+        }
+
+        const fragment = packet.fragment ? `消息 ${packet.fragment.messageId} 分片 ${packet.fragment.index + 1}/${packet.fragment.total}` : '分片头不完整';
+        print(`  ${head} ${packet.payload.length} 字节 ${fragment} 纠正 ${packet.correctedBits} 比特 置信度 ${packet.confidence.toFixed(2)} 时钟偏差 ${formatNumber(packet.clockDrift, 0, ' ppm')}`);
+        print(`    ${toHex(packet.payload)}`);
+    }
+
+    for (const message of result.messages) {
+        print(`消息: ${JSON.stringify(message.data)}`);
+    }
+}
+
+function printAnalysis(result, print) {
+    print(`采样率 ${result.sampleRate} Hz，时长 ${result.duration.toFixed(2)} s`);
+    if (result.links.length === 0) {
+        print('未检测到前导码');
+    }
+
+    for (const link of result.links) {
+        print(`\n频段 ${link.mode} 信道 ${link.channel}: ${link.frequencies.join('/')} Hz，${link.symbolRate} baud`);
+        print(`  噪声底 ${formatLevel(link.noiseFloor)}，门限 ${formatLevel(link.threshold)}`);
+        print(`  音调: ${link.tones.map(tone => `${tone.frequency} Hz ×${tone.count} (${(tone.share * 100).toFixed(0)}%)`).join('，') || '-'}`);
+
+        link.segments.forEach((segment, index) => {
+            print(`  锁定 ${index + 1}: ${segment.start.toFixed(2)}-${formatNumber(segment.end, 2)} s，${segment.symbols} 个符号，` +
+                `符号周期 ${formatNumber(segment.period && segment.period * 1000, 3, ' ms')} (${formatNumber(segment.periodError, 0, ' ppm')})，` +
+                `抖动 ${formatNumber(segment.jitter && segment.jitter * 1000, 2, ' ms')}，时钟偏差 ${formatNumber(segment.drift, 0, ' ppm')}，` +
+                `置信度 ${formatNumber(segment.confidence, 2)}，信噪比 ${formatNumber(segment.snr, 1, ' dB')}`);
+            for (const packet of segment.packets) {
+                const status = { ok: '成功', fec: 'FEC纠错失败', crc: 'CRC校验失败' }[packet.status];
+                print(`    ${packet.time.toFixed(2)}s ${packet.profile} ${packet.length} 字节 ${status}` +
+                    (packet.correctedBits !== null ? ` 纠正 ${packet.correctedBits} 比特` : ''));
+            }
+        });
+
+        print(`  数据包: ${link.packets.ok} 成功，${link.packets.fec} FEC纠错失败，${link.packets.crc} CRC校验失败`);
+    }
+}
+
+// JSON输出中 Uint8Array 显示为十六进制
+function toJson(value) {
+    return JSON.stringify(value, (key, item) => (item instanceof Uint8Array ? toHex(item) : item), 2);
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            text: { type: 'string' },
+            json: { type: 'string' },
+            'json-file': { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            mode: { type: 'string' },
+            channel: { type: 'string' },
+            profile: { type: 'string' },
+            rate: { type: 'string' },
+            bits: { type: 'string' },
+            gap: { type: 'string' },
+            room: { type: 'string' },
+            user: { type: 'string' },
+            name: { type: 'string' },
+            format: { type: 'string' },
+            verbose: { type: 'boolean' }
+        }
+    });
+
+    // 模块自身的日志默认不输出，结果写到标准输出
+    const print = console.log.bind(console);
+    if (!values.verbose) {
+        console.log = console.info = console.warn = () => {};
+    }
+
+    const [command, file] = positionals;
+    const channel = values.channel !== undefined ? parseInt(values.channel, 10) : undefined;
+    const tool = new ModemTool({
+        sampleRate: values.rate ? parseInt(values.rate, 10) : undefined,
+        username: values.name
+    });
+    await tool.init();
+
+    switch (command) {
+        case 'encode': {
+            let data;
+            if (values.text !== undefined) {
+                data = tool.createChatMessage(values.text, { roomId: values.room, userId: values.user, username: values.name });
+            } else if (values.json !== undefined) {
+                data = JSON.parse(values.json);
+            } else if (values['json-file'] !== undefined) {
+                data = JSON.parse(fs.readFileSync(values['json-file'], 'utf8'));
+            } else {
+                throw new Error('需要 --text、--json 或 --json-file');
+            }
+            if (!values.output) {
+                throw new Error('需要 -o 指定输出文件');
+            }
+
+            const result = await tool.encode(data, {
+                mode: values.mode,
+                channel: channel,
+                profile: values.profile,
+                gap: values.gap !== undefined ? parseFloat(values.gap) : undefined,
+                bitsPerSample: values.bits ? parseInt(values.bits, 10) : undefined
+            });
+            fs.writeFileSync(values.output, result.bytes);
+            if (values.profile && result.profile !== values.profile) {
+                print(`${values.profile} 在信道 ${channel ?? tool.comm.controlChannel} 上不可用，改用 ${result.profile}`);
+            }
+            print(`${values.output}: ${result.fragments} 个分片，${result.profile}，${result.duration.toFixed(2)} s，${tool.comm.sampleRate} Hz`);
+            print(`消息: ${JSON.stringify(data)}`);
+            break;
+        }
+        case 'decode':
+        case 'analyze': {
+            if (!file) {
+                throw new Error('需要WAV文件');
+            }
+            const bytes = new Uint8Array(fs.readFileSync(file));
+            const options = { mode: values.mode, channel: channel };
+            const result = command === 'decode' ? await tool.decode(bytes, options) : tool.analyze(bytes, options);
+
+            if (values.format === 'json') {
+                print(toJson(result));
+            } else if (command === 'decode') {
+                printDecode(result, print);
+            } else {
+                printAnalysis(result, print);
+            }
+            break;
+        }
+        default:
+            print('用法:');
+            print('  node modem-cli.js encode (--text <文本> | --json <JSON> | --json-file <文件>) -o <输出.wav>');
+            print('         [--mode high|low] [--channel <信道>] [--profile fsk2|fsk4] [--rate <采样率>] [--bits 16|32] [--gap <秒>]');
+            print('         [--room <房间ID>] [--user <用户ID>] [--name <用户名>]');
+            print('  node modem-cli.js decode <录音.wav> [--mode high|low] [--channel <信道>] [--format json]');
+            print('  node modem-cli.js analyze <录音.wav> [--mode high|low] [--channel <信道>] [--format json]');
+            print('  --verbose 显示调制解调模块的日志');
+            process.exitCode = command ? 2 : 0;
+    }
+}
+
+module.exports = { ModemTool };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('错误:', error.message);
+        process.exitCode = 1;
+    });
+}
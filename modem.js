@@ -0,0 +1,960 @@
+/**
+ * 调制解调核心模块
+ * 组帧、FEC、M-FSK调制、滑动窗口Goertzel解调和数据包解码
+ * 不依赖浏览器API：页面、AudioWorklet（只使用解调器）和Node中共用同一份代码
+ */
+
+// Node中加载依赖；页面中由index.html按顺序引入
+if (typeof module !== 'undefined' && module.exports) {
+    require('./fec.js');
+}
+
+/**
+ * 噪声底估计器
+ * 对噪声幅度做非对称指数平均：下降快、上升慢，短暂的信号不会把噪声底抬高。
+ * 检测门限取噪声底之上固定余量。页面、AudioWorklet和Node中共用。
+ */
+class NoiseFloorEstimator {
+    constructor(options = {}) {
+        this.fallRate = options.fallRate || 0.05;
+        this.riseRate = options.riseRate || 0.002;
+        this.margin = options.margin || 4;               // 门限高于噪声底的倍数（约12dB）
+        this.minThreshold = options.minThreshold || 1e-4; // 绝对下限，避免静音时误检
+        this.floor = null;
+    }
+
+    update(level) {
+        if (this.floor === null) {
+            this.floor = level;
+        } else {
+            const rate = level < this.floor ? this.fallRate : this.riseRate;
+            this.floor += (level - this.floor) * rate;
+        }
+        return this.floor;
+    }
+
+    get threshold() {
+        return Math.max(this.minThreshold, (this.floor || 0) * this.margin);
+    }
+
+    // 信号幅度相对噪声底的信噪比（dB）
+    snr(level) {
+        if (!this.floor || !level) return null;
+        return 20 * Math.log10(level / this.floor);
+    }
+}
+
+/**
+ * 符号解调器
+ * 滑动窗口Goertzel（滑动DFT）逐样本更新各音调的能量，
+ * 通过前导码获取符号时钟，再用早迟门跟踪符号定时，每个符号输出一次判决。
+ * 定时环路带积分项，可以估计并跟踪收发双方的时钟偏差。
+ * 不依赖浏览器API，页面、AudioWorklet和Node中共用。
+ */
+class SymbolDemodulator {
+    constructor(options) {
+        this.sampleRate = options.sampleRate;
+        this.onEvent = options.onEvent || null;
+        this.noise = new NoiseFloorEstimator(options.noise);
+        this.signalLevel = null;
+
+        // 同一频段其他信道的音调：其他信道上的帧泄漏到本信道音调上的能量远低于其自身音调上的能量，
+        // 本信道最强的音调不高于其他信道最强音调的 leakageRatio 倍时视为其他信道的信号，不报告载波也不判决
+        this.otherTones = options.otherTones || [];
+        this.leakageRatio = 0.1; // 约-20dB
+        this.levelInterval = Math.round(this.sampleRate / 2); // 每0.5秒报告一次链路质量
+        this.samplesSinceLevel = 0;
+
+        this.oversample = 8;       // 每个符号的搜索步数
+        this.lockSymbols = 6;      // 连续检测到的前导码交替次数
+        this.maxMissedSymbols = 3; // 连续多少个符号无信号后失锁
+        this.trackingGain = 0.5;   // 早迟门环路增益
+        this.driftGain = 0.01;     // 时钟偏差估计的积分增益
+        this.maxDrift = 0.005;     // 可跟踪的最大时钟偏差（相对值）
+        this.driftMemory = 2;      // 失锁后多少秒内再次锁定时沿用上一帧的偏差估计（连续发送的分片）
+        this.signalSmoothing = 0.1; // 信号幅度的平均系数
+        this.damping = 0.999999;   // 滑动DFT阻尼，抑制数值误差累积
+
+        this.sampleIndex = 0;
+        this.carrierBusy = false;
+        this.gated = false;
+        this.lastDrift = 0;
+        this.lastUnlockIndex = -Infinity;
+
+        this.configure(options.tones, options.symbolRate);
+    }
+
+    configure(tones, symbolRate) {
+        this.tones = tones;
+        this.symbolRate = symbolRate;
+        this.symbolPeriod = this.sampleRate / symbolRate; // 采样率不是符号率的整数倍时（如44100 Hz）为小数
+        this.symbolLength = Math.round(this.symbolPeriod);
+        this.step = Math.max(1, Math.round(this.symbolLength / this.oversample));
+        this.trackOffset = Math.max(1, Math.round(this.step / 2));
+
+        // 最近一个符号长度的样本
+        this.window = new Float64Array(this.symbolLength);
+        this.windowIndex = 0;
+
+        // 各音调（本信道的音调在前，其他信道的音调在后）的滑动DFT状态和系数
+        const decay = Math.pow(this.damping, this.symbolLength);
+        const frequencies = tones.concat(this.otherTones);
+        this.re = new Float64Array(frequencies.length);
+        this.im = new Float64Array(frequencies.length);
+        this.coefficients = frequencies.map(frequency => {
+            const w = 2 * Math.PI * frequency / this.sampleRate;
+            return {
+                cr: this.damping * Math.cos(w),
+                ci: this.damping * Math.sin(w),
+                kr: decay * Math.cos(w * this.symbolLength),
+                ki: decay * Math.sin(w * this.symbolLength)
+            };
+        });
+
+        // 前导码在2-FSK中交替使用网格两端的音调
+        this.preambleTones = [0, tones.length - 1];
+
+        this.resetTiming();
+    }
+
+    resetTiming() {
+        this.locked = false;
+        this.stepCounter = 0;
+        this.searchHistory = [];
+        this.symbolTime = 0;
+        this.early = null;
+        this.onTime = null;
+        this.missedSymbols = 0;
+        this.periodCorrection = 0; // 每个符号周期的修正量（样本数）
+    }
+
+    process(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            this.pushSample(samples[i]);
+        }
+    }
+
+    pushSample(x) {
+        const old = this.window[this.windowIndex];
+        this.window[this.windowIndex] = x;
+        this.windowIndex = (this.windowIndex + 1) % this.symbolLength;
+
+        for (let t = 0; t < this.coefficients.length; t++) {
+            const c = this.coefficients[t];
+            const re = this.re[t];
+            const im = this.im[t];
+            this.re[t] = x - c.kr * old + c.cr * re - c.ci * im;
+            this.im[t] = -c.ki * old + c.ci * re + c.cr * im;
+        }
+
+        this.sampleIndex++;
+
+        // 本机发送期间只更新窗口，不判决也不更新噪声底
+        if (this.gated) return;
+
+        if (this.locked) {
+            this.trackSymbol();
+        }
+        if (++this.stepCounter >= this.step) {
+            this.stepCounter = 0;
+            const m = this.measure();
+            this.noise.update(m.noise);
+            if (!this.locked) {
+                this.searchPreamble(m);
+            }
+        }
+        if (++this.samplesSinceLevel >= this.levelInterval) {
+            this.samplesSinceLevel = 0;
+            this.emitLevel();
+        }
+    }
+
+    get threshold() {
+        return this.noise.threshold;
+    }
+
+    // 屏蔽接收：本机发送期间放弃正在跟踪的符号时钟
+    setGate(active) {
+        this.gated = active;
+        if (active) {
+            this.resetTiming();
+            this.setCarrier(false);
+        }
+    }
+
+    // 当前窗口的音调判决
+    measure() {
+        let best = -1;
+        let bestPower = 0;
+        let secondPower = 0;
+        let total = 0;
+        let otherPower = 0;
+
+        for (let t = this.tones.length; t < this.coefficients.length; t++) {
+            otherPower = Math.max(otherPower, this.powerAt(t));
+        }
+
+        for (let t = 0; t < this.tones.length; t++) {
+            const power = this.powerAt(t);
+            total += power;
+            if (power > bestPower) {
+                secondPower = bestPower;
+                bestPower = power;
+                best = t;
+            } else if (power > secondPower) {
+                secondPower = power;
+            }
+        }
+
+        return {
+            tone: best,
+            power: bestPower,
+            otherPower: otherPower,
+            // 其余音调的平均幅度作为噪声样本，有信号时也不受影响
+            noise: (total - bestPower) / Math.max(1, this.tones.length - 1),
+            purity: total > 0 ? bestPower / total : 0,
+            confidence: bestPower > 0 ? (bestPower - secondPower) / bestPower : 0
+        };
+    }
+
+    powerAt(t) {
+        return Math.sqrt(this.re[t] * this.re[t] + this.im[t] * this.im[t]) / this.symbolLength;
+    }
+
+    // 窗口中是否有本信道的信号：高于检测门限，且不是其他信道泄漏过来的能量
+    hasSignal(m) {
+        return m.power > this.threshold && m.power > m.otherPower * this.leakageRatio;
+    }
+
+    // 搜索前导码并获取符号时钟
+    searchPreamble(m) {
+        this.setCarrier(this.hasSignal(m));
+
+        this.searchHistory.push(m);
+        const historyLength = this.oversample * this.lockSymbols + 1;
+        if (this.searchHistory.length > historyLength) {
+            this.searchHistory.shift();
+        }
+        if (this.searchHistory.length < historyLength) return;
+
+        // 同一相位上相隔一个符号的判决必须在前导码的两个音调间交替
+        const last = this.searchHistory.length - 1;
+        for (let k = 0; k < this.lockSymbols; k++) {
+            const current = this.searchHistory[last - k * this.oversample];
+            const previous = this.searchHistory[last - (k + 1) * this.oversample];
+            if (!this.hasSignal(current) || !this.hasSignal(previous)) return;
+            if (!this.preambleTones.includes(current.tone) || !this.preambleTones.includes(previous.tone)) return;
+            if (current.tone === previous.tone) return;
+        }
+
+        // 最近一个符号内纯度最高的相位即为符号边界
+        let bestBack = 0;
+        for (let back = 1; back < this.oversample; back++) {
+            if (this.searchHistory[last - back].purity > this.searchHistory[last - bestBack].purity) {
+                bestBack = back;
+            }
+        }
+
+        this.locked = true;
+        this.missedSymbols = 0;
+        this.symbolTime = this.sampleIndex - bestBack * this.step + this.symbolPeriod;
+        this.early = null;
+        this.onTime = null;
+
+        // 紧接着上一帧的分片来自同一发送方，沿用时钟偏差估计
+        if (this.sampleIndex - this.lastUnlockIndex < this.driftMemory * this.sampleRate) {
+            this.periodCorrection = this.lastDrift * this.symbolPeriod;
+        }
+
+        this.emit({ type: 'lock', timestamp: this.sampleIndex / this.sampleRate });
+    }
+
+    // 早迟门定时跟踪：在符号边界前后各取一个窗口比较纯度
+    trackSymbol() {
+        const boundary = Math.round(this.symbolTime);
+
+        if (this.sampleIndex === boundary - this.trackOffset) {
+            this.early = this.measure();
+        } else if (this.sampleIndex === boundary) {
+            this.onTime = this.measure();
+        } else if (this.sampleIndex === boundary + this.trackOffset) {
+            const late = this.measure();
+            this.decideSymbol(this.early || this.onTime, this.onTime, late);
+        }
+    }
+
+    decideSymbol(early, onTime, late) {
+        if (!this.hasSignal(onTime)) {
+            if (++this.missedSymbols >= this.maxMissedSymbols) {
+                this.lastDrift = this.getDrift();
+                this.lastUnlockIndex = this.sampleIndex;
+                this.resetTiming();
+                this.setCarrier(false);
+                this.emit({ type: 'unlock', timestamp: this.sampleIndex / this.sampleRate, drift: this.lastDrift * 1e6 });
+                return;
+            }
+        } else {
+            this.missedSymbols = 0;
+            this.setCarrier(true);
+            this.signalLevel = this.signalLevel === null
+                ? onTime.power
+                : this.signalLevel + (onTime.power - this.signalLevel) * this.signalSmoothing;
+            this.emit({
+                type: 'symbol',
+                tone: onTime.tone,
+                confidence: onTime.confidence,
+                strength: onTime.power,
+                drift: this.getDrift() * 1e6,
+                timestamp: Math.round(this.symbolTime) / this.sampleRate
+            });
+        }
+
+        // 窗口偏晚时，后一个窗口混入下一个符号，纯度低于前一个窗口
+        const error = late.purity - early.purity;
+        const adjust = Math.max(-this.trackOffset, Math.min(this.trackOffset, this.trackingGain * error * this.trackOffset * 2));
+
+        // 积分项跟踪持续的时钟偏差
+        const maxCorrection = this.maxDrift * this.symbolPeriod;
+        this.periodCorrection = Math.max(-maxCorrection, Math.min(maxCorrection, this.periodCorrection + this.driftGain * adjust));
+
+        this.symbolTime += this.symbolPeriod + this.periodCorrection + adjust;
+        this.early = null;
+        this.onTime = null;
+    }
+
+    // 发送端相对本地时钟的偏差（相对值，正值表示发送端时钟偏慢、符号偏长）
+    getDrift() {
+        return this.periodCorrection / this.symbolPeriod;
+    }
+
+    emitLevel() {
+        this.emit({
+            type: 'level',
+            noiseFloor: this.noise.floor,
+            threshold: this.threshold,
+            signal: this.signalLevel,
+            snr: this.noise.snr(this.signalLevel)
+        });
+    }
+
+    setCarrier(busy) {
+        if (busy !== this.carrierBusy) {
+            this.carrierBusy = busy;
+            this.emit({ type: 'carrier', busy: busy });
+        }
+    }
+
+    emit(event) {
+        if (this.onEvent) {
+            this.onEvent(event);
+        }
+    }
+}
+
+/**
+ * 调制解调器
+ * 频段与信道规划、调制方式、组帧与分片、调制合成和接收端的组帧解码
+ * 当前频段、调制方式和音量等收发设置由调用方传入
+ */
+class ModemCore {
+    constructor(options = {}) {
+        // 调制方式：从频段的音调网格中选取的音调序号
+        // 帧头固定使用2-FSK，其中声明了帧体使用的调制方式
+        // continuousPhase: 相位连续（CPFSK），符号切换时不产生相位跳变
+        // shaping: 符号间频率过渡占符号周期的比例（升余弦），0为直接跳变
+        // 每个信道有4个音调，最高为4-FSK：8-FSK和16-FSK需要8个和16个音调，放不进一个信道；帧头中声明其他调制方式编号的帧丢弃
+        const profiles = {
+            fsk2: { id: 0, tones: [0, 15], continuousPhase: true, shaping: 0.25 },
+            fsk4: { id: 1, tones: [0, 5, 10, 15], continuousPhase: true, shaping: 0.2 }
+        };
+
+        // 信道规划：音调网格分成3段相连的音调，段与段之间空出2个音调作为保护间隔
+        // 符号间的频率过渡只在信道自身的音调范围内扫过，不会扫过其他信道的音调
+        // 信道0为控制信道（发现、邀请、频段协商），其余信道分配给聊天室
+        // 调制方式的音调按比例映射到信道的音调集合上
+        const channels = [
+            [0, 1, 2, 3],
+            [6, 7, 8, 9],
+            [12, 13, 14, 15]
+        ];
+
+        // 频率配置
+        this.config = {
+            high: {
+                baseFreq: 18600,  // 第一个音调的频率
+                toneSpacing: 80,  // 音调间隔 (Hz)，为符号率的整数倍以保证正交
+                toneCount: 16,    // 18.6 - 19.8 kHz
+                symbolRate: 40,   // 符号率 (baud)
+                profiles: profiles,
+                channels: channels,
+                fecBlockSize: 32, // 每个RS码字的数据字节数
+                fecParity: 8      // 每个RS码字的校验字节数（码率 0.8）
+            },
+            low: {
+                baseFreq: 17200,  // 低频模式，17.2 - 17.8 kHz
+                toneSpacing: 40,
+                toneCount: 16,
+                symbolRate: 10,
+                profiles: profiles,
+                channels: channels,
+                fecBlockSize: 16,
+                fecParity: 16     // 码率 0.5，以速度换取鲁棒性
+            }
+        };
+
+        this.controlChannel = 0;
+        this.sampleRate = options.sampleRate || 48000;
+
+        // 数据包格式
+        this.rampDuration = 0.005;    // 帧首尾的升余弦渐变时长（秒），避免扬声器爆音和频谱泄漏
+        this.preamble = [0xAA, 0xAA]; // 前导码，2-FSK下为16个交替音调，用于接收端获取符号时钟
+        this.packetHeader = [1, 0, 1, 0, 1, 1, 0, 1]; // 同步头
+        this.maxPayloadLength = 255; // 最大载荷长度（长度字段为1字节）
+        this.lengthParity = 4; // 长度字段单独RS编码，可纠正2字节错误
+        this.fec = new FECCodec();
+
+        // 分片
+        this.fragmentHeaderLength = 4; // 消息ID(2字节) + 分片序号 + 分片总数
+        this.maxFragmentData = 120; // 每个分片携带的最大数据字节数
+        this.nextMessageId = Math.floor(Math.random() * 0x10000);
+    }
+
+    // 当前频段音调网格的全部频率
+    getToneFrequencies(mode) {
+        const bandConfig = this.config[mode];
+        const tones = [];
+        for (let i = 0; i < bandConfig.toneCount; i++) {
+            tones.push(bandConfig.baseFreq + i * bandConfig.toneSpacing);
+        }
+        return tones;
+    }
+
+    // 获取信道上的调制方式，音调按比例映射到信道的音调集合，音调不足时返回 null
+    getProfile(name, mode, channel = this.controlChannel) {
+        const bandConfig = this.config[mode];
+        const profile = bandConfig.profiles[name];
+        const channelTones = bandConfig.channels[channel];
+        if (!profile || !channelTones) return null;
+
+        const scale = (channelTones.length - 1) / (bandConfig.toneCount - 1);
+        const tones = profile.tones.map(tone => channelTones[Math.round(tone * scale)]);
+        if (new Set(tones).size < tones.length) return null;
+
+        return {
+            name: name,
+            ...profile,
+            tones: tones,
+            bitsPerSymbol: Math.log2(tones.length)
+        };
+    }
+
+    getProfileById(id, mode, channel = this.controlChannel) {
+        const profiles = this.config[mode].profiles;
+        const name = Object.keys(profiles).find(key => profiles[key].id === id);
+        return name ? this.getProfile(name, mode, channel) : null;
+    }
+
+    // 频段最高音调需低于奈奎斯特频率并留有余量
+    isModeSupported(mode, sampleRate = this.sampleRate) {
+        const tones = this.getToneFrequencies(mode);
+        return tones[tones.length - 1] < sampleRate * 0.45;
+    }
+
+    // 信道上实际使用的调制方式：指定的调制方式不可用时改用信道支持的最高阶调制方式
+    resolveProfile(name, mode, channel = this.controlChannel) {
+        if (this.getProfile(name, mode, channel)) {
+            return name;
+        }
+
+        let best = 'fsk2';
+        for (const candidate of Object.keys(this.config[mode].profiles)) {
+            const profile = this.getProfile(candidate, mode, channel);
+            if (profile && profile.bitsPerSymbol > this.getProfile(best, mode, channel).bitsPerSymbol) {
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    // 信道数
+    getChannelCount(mode) {
+        return this.config[mode].channels.length;
+    }
+
+    // （频段, 信道）的解调参数：信道内各音调的频率、同一频段其他信道的音调频率和符号率
+    getLink(mode, channel) {
+        const frequencies = this.getToneFrequencies(mode);
+        return {
+            mode: mode,
+            channel: channel,
+            tones: this.config[mode].channels[channel].map(tone => frequencies[tone]),
+            otherTones: this.config[mode].channels.filter((tones, index) => index !== channel).flat().map(tone => frequencies[tone]),
+            symbolRate: this.config[mode].symbolRate
+        };
+    }
+
+    // 将消息拆分为带编号的分片
+    createFragments(bytes) {
+        const total = Math.max(1, Math.ceil(bytes.length / this.maxFragmentData));
+        if (total > 255) {
+            throw new Error(`消息过大: ${bytes.length}字节`);
+        }
+
+        const messageId = this.nextMessageId;
+        this.nextMessageId = (this.nextMessageId + 1) & 0xFFFF;
+
+        const fragments = [];
+        for (let index = 0; index < total; index++) {
+            const chunk = bytes.subarray(index * this.maxFragmentData, (index + 1) * this.maxFragmentData);
+            const fragment = new Uint8Array(this.fragmentHeaderLength + chunk.length);
+            fragment[0] = messageId >> 8;
+            fragment[1] = messageId & 0xFF;
+            fragment[2] = index;
+            fragment[3] = total;
+            fragment.set(chunk, this.fragmentHeaderLength);
+            fragments.push(fragment);
+        }
+
+        console.log('消息分片:', messageId, '共', total, '片');
+        return fragments;
+    }
+
+    // 分片头：[消息ID 2字节] [分片序号] [分片总数]
+    parseFragmentHeader(payload) {
+        return {
+            messageId: (payload[0] << 8) | payload[1],
+            index: payload[2],
+            total: payload[3]
+        };
+    }
+
+    // 按序拼接分片数据
+    joinFragments(fragments) {
+        const length = fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        for (const fragment of fragments) {
+            bytes.set(fragment, offset);
+            offset += fragment.length;
+        }
+        return bytes;
+    }
+
+    // 数据包编码
+    encodePacket(payload, mode) {
+        console.log('=== ENCODE PACKET START ===');
+        console.log('载荷字节数:', payload.length);
+
+        // 限制载荷长度
+        if (payload.length > this.maxPayloadLength) {
+            console.error('数据包过大!', payload.length, '>', this.maxPayloadLength);
+            throw new Error(`数据包过大: ${payload.length}字节 > ${this.maxPayloadLength}字节`);
+        }
+
+        console.log('=== ENCODE PACKET SUCCESS ===');
+
+        const currentConfig = this.config[mode];
+
+        // 载荷 + CRC 一起进行FEC编码
+        const body = new Uint8Array(payload.length + 1);
+        body.set(payload);
+        body[payload.length] = this.calculateCRC(payload);
+
+        const lengthField = this.fec.rs.encode(Uint8Array.of(payload.length), this.lengthParity);
+        const encodedBody = this.fec.encode(body, currentConfig.fecBlockSize, currentConfig.fecParity);
+
+        // 构建数据包：同步头 + 长度(RS) + 载荷与CRC(RS+交织)
+        const packet = new Uint8Array(this.packetHeader.length + lengthField.length + encodedBody.length);
+        let offset = 0;
+
+        // 同步头
+        for (let i = 0; i < this.packetHeader.length; i++) {
+            packet[offset++] = this.packetHeader[i];
+        }
+
+        // 载荷长度
+        packet.set(lengthField, offset);
+        offset += lengthField.length;
+
+        // 编码后的载荷
+        packet.set(encodedBody, offset);
+
+        return packet;
+    }
+
+    // 创建比特流
+    createBitStream(packet) {
+        const bits = [];
+
+        for (let i = 0; i < packet.length; i++) {
+            const byte = packet[i];
+            // 将字节转换为8个比特（LSB first）
+            for (let j = 0; j < 8; j++) {
+                bits.push((byte >> j) & 1);
+            }
+        }
+
+        return bits;
+    }
+
+    // 将帧转换为符号流：前导码、同步头和调制方式字节使用2-FSK，其余部分使用指定调制方式
+    // 符号为音调网格中的序号，只使用信道内的音调
+    createSymbolStream(packet, mode, channel, profileName) {
+        const baseProfile = this.getProfile('fsk2', mode, channel);
+        const profile = this.getProfile(profileName, mode, channel);
+
+        const headerBits = this.createBitStream(Uint8Array.from(this.preamble))
+            .concat(this.createBitStream(packet.subarray(0, this.packetHeader.length)))
+            .concat(this.createBitStream(Uint8Array.of(this.encodeProfileId(profile.id))));
+        const bodyBits = this.createBitStream(packet.subarray(this.packetHeader.length));
+
+        return this.bitsToSymbols(headerBits, baseProfile).concat(this.bitsToSymbols(bodyBits, profile));
+    }
+
+    // 比特映射为音调（格雷码，相邻音调误判只错1比特）
+    bitsToSymbols(bits, profile) {
+        const symbols = [];
+
+        for (let i = 0; i < bits.length; i += profile.bitsPerSymbol) {
+            let value = 0;
+            for (let j = 0; j < profile.bitsPerSymbol; j++) {
+                value |= (bits[i + j] || 0) << j;
+            }
+            symbols.push(profile.tones[value ^ (value >> 1)]);
+        }
+
+        return symbols;
+    }
+
+    // 音调还原为比特：按最接近的音调判决
+    symbolsToBits(symbols, profile) {
+        const bits = [];
+
+        for (const tone of symbols) {
+            let position = 0;
+            for (let i = 1; i < profile.tones.length; i++) {
+                if (Math.abs(profile.tones[i] - tone) < Math.abs(profile.tones[position] - tone)) {
+                    position = i;
+                }
+            }
+
+            let value = position;
+            for (let shift = position >> 1; shift > 0; shift >>= 1) {
+                value ^= shift;
+            }
+
+            for (let j = 0; j < profile.bitsPerSymbol; j++) {
+                bits.push((value >> j) & 1);
+            }
+        }
+
+        return bits;
+    }
+
+    // 调制方式编号重复4次，接收端按位多数表决
+    encodeProfileId(id) {
+        return (id & 3) * 0x55;
+    }
+
+    decodeProfileId(byte) {
+        let id = 0;
+        for (let bit = 0; bit < 2; bit++) {
+            let votes = 0;
+            for (let copy = 0; copy < 4; copy++) {
+                votes += (byte >> (copy * 2 + bit)) & 1;
+            }
+            if (votes === 2) return null;
+            if (votes > 2) id |= 1 << bit;
+        }
+        return id;
+    }
+
+    // 合成FSK信号：帧头按2-FSK的设置，帧体按所用调制方式的设置，返回 [-volume, volume] 的样本
+    renderSymbols(symbols, mode, profileName, volume = 1) {
+        const tones = this.getToneFrequencies(mode);
+        const samplesPerSymbol = this.sampleRate / this.config[mode].symbolRate;
+        const totalSamples = Math.round(symbols.length * samplesPerSymbol);
+        const samples = new Float32Array(totalSamples);
+
+        const headerProfile = this.getProfile('fsk2', mode);
+        const bodyProfile = this.getProfile(profileName, mode);
+        const headerSymbols = (this.preamble.length + this.packetHeader.length + 1) * 8;
+        const profileAt = k => (k < headerSymbols ? headerProfile : bodyProfile);
+
+        // 符号k处的瞬时频率：在与前后符号的边界两侧各用半个过渡区做升余弦过渡
+        const raisedCosine = x => (1 - Math.cos(Math.PI * x)) / 2;
+        const frequencyAt = (k, u) => {
+            const frequency = tones[symbols[k]];
+            const shaping = profileAt(k).shaping;
+            if (k > 0 && shaping > 0 && u < shaping / 2) {
+                const previous = tones[symbols[k - 1]];
+                return previous + (frequency - previous) * raisedCosine(0.5 + u / shaping);
+            }
+            const nextShaping = k + 1 < symbols.length ? profileAt(k + 1).shaping : 0;
+            if (nextShaping > 0 && u > 1 - nextShaping / 2) {
+                const next = tones[symbols[k + 1]];
+                return frequency + (next - frequency) * raisedCosine((u - 1 + nextShaping / 2) / nextShaping);
+            }
+            return frequency;
+        };
+
+        const rampSamples = Math.min(Math.round(this.rampDuration * this.sampleRate), Math.floor(totalSamples / 2));
+        let phase = 0;
+
+        for (let n = 0; n < totalSamples; n++) {
+            const k = Math.min(symbols.length - 1, Math.floor(n / samplesPerSymbol));
+            const u = n / samplesPerSymbol - k;
+            const profile = profileAt(k);
+
+            if (profile.continuousPhase) {
+                phase = (phase + 2 * Math.PI * frequencyAt(k, u) / this.sampleRate) % (2 * Math.PI);
+            } else {
+                // 相位不连续：每个符号直接按绝对时间取相位
+                phase = 2 * Math.PI * tones[symbols[k]] * n / this.sampleRate;
+            }
+
+            let envelope = 1;
+            if (n < rampSamples) {
+                envelope = raisedCosine(n / rampSamples);
+            } else if (n >= totalSamples - rampSamples) {
+                envelope = raisedCosine((totalSamples - 1 - n) / rampSamples);
+            }
+
+            samples[n] = Math.sin(phase) * envelope * volume;
+        }
+
+        return samples;
+    }
+
+    // 一个（频段, 信道）的组帧状态：已判决的符号和置信度
+    createReceiver(mode, channel) {
+        return {
+            mode: mode,
+            channel: channel,
+            symbolBuffer: [],
+            confidenceBuffer: [],
+            lastSymbolTime: 0
+        };
+    }
+
+    // 符号加入接收缓冲区
+    bufferSymbol(receiver, tone, timestamp, confidence, mode) {
+        // 检查符号间隔是否合理
+        const timeDiff = timestamp - receiver.lastSymbolTime;
+        const expectedInterval = 1 / this.config[mode].symbolRate;
+
+        if (timeDiff > expectedInterval * 2) {
+            // 间隔过长，重置缓冲区
+            receiver.symbolBuffer = [];
+            receiver.confidenceBuffer = [];
+        }
+
+        receiver.symbolBuffer.push(tone);
+        receiver.confidenceBuffer.push(confidence);
+        receiver.lastSymbolTime = timestamp;
+    }
+
+    // 在接收缓冲区中查找一个完整的帧，并移除已处理的符号
+    // 返回数据包；帧完整但无法纠正时返回 { failed: true, reason: 'fec' | 'crc', ... }；没有完整的帧时返回 null
+    findPacket(receiver, mode, channel) {
+        const syncLength = this.packetHeader.length * 8;
+        const headerSymbols = syncLength + 8;
+        if (receiver.symbolBuffer.length < headerSymbols + (1 + this.lengthParity) * 8) return null;
+
+        // 帧头为2-FSK，每个符号对应1比特
+        const headerBits = this.symbolsToBits(receiver.symbolBuffer, this.getProfile('fsk2', mode, channel));
+
+        // 查找同步头
+        for (let i = 0; i + headerSymbols <= receiver.symbolBuffer.length; i++) {
+            if (!this.matchHeader(headerBits, i)) continue;
+
+            const profile = this.getProfileById(this.decodeProfileId(this.readBytes(headerBits, i + syncLength, 1)[0]), mode, channel);
+            if (!profile) continue;
+
+            const bodyStart = i + headerSymbols;
+            const bodyBits = this.symbolsToBits(receiver.symbolBuffer.slice(bodyStart), profile);
+            const packet = this.extractPacket(bodyBits, mode);
+            if (!packet) continue;
+
+            const end = bodyStart + Math.ceil(packet.length * 8 / profile.bitsPerSymbol);
+            const confidences = receiver.confidenceBuffer.slice(i, end);
+
+            packet.mode = mode;
+            packet.channel = channel;
+            packet.profile = profile.name;
+            packet.confidence = confidences.reduce((sum, c) => sum + c, 0) / confidences.length;
+
+            // 清理已处理的符号
+            receiver.symbolBuffer = receiver.symbolBuffer.slice(end);
+            receiver.confidenceBuffer = receiver.confidenceBuffer.slice(end);
+            return packet;
+        }
+
+        // 清理过长的缓冲区
+        if (receiver.symbolBuffer.length > 4000) {
+            receiver.symbolBuffer = receiver.symbolBuffer.slice(-2000);
+            receiver.confidenceBuffer = receiver.confidenceBuffer.slice(-2000);
+        }
+        return null;
+    }
+
+    // 匹配同步头
+    matchHeader(bits, startIndex) {
+        const header = this.readBytes(bits, startIndex, this.packetHeader.length);
+        return this.packetHeader.every((byte, i) => header[i] === byte);
+    }
+
+    // 从比特流读取字节
+    readBytes(bits, bitIndex, count) {
+        const bytes = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            let byte = 0;
+            const byteIndex = bitIndex + i * 8;
+            for (let j = 0; j < 8; j++) {
+                byte |= bits[byteIndex + j] << j;
+            }
+            bytes[i] = byte;
+        }
+        return bytes;
+    }
+
+    // 提取数据包，bits 从长度字段开始
+    extractPacket(bits, mode) {
+        const currentConfig = this.config[mode];
+        const lengthFieldSize = 1 + this.lengthParity;
+
+        if (lengthFieldSize * 8 > bits.length) return null;
+
+        // 提取并纠正载荷长度
+        const rawLengthField = this.readBytes(bits, 0, lengthFieldSize);
+        const lengthField = this.fec.rs.decode(rawLengthField, this.lengthParity);
+        if (!lengthField) return null;
+
+        const payloadLength = lengthField.data[0];
+        if (payloadLength > this.maxPayloadLength) return null;
+
+        const bodyLength = this.fec.encodedLength(payloadLength + 1, currentConfig.fecBlockSize, currentConfig.fecParity);
+        const totalPacketBytes = lengthFieldSize + bodyLength;
+        if (totalPacketBytes * 8 > bits.length) return null;
+
+        // 解交织并纠错
+        const encodedBody = this.readBytes(bits, lengthFieldSize * 8, bodyLength);
+        const body = this.fec.decode(encodedBody, payloadLength + 1, currentConfig.fecBlockSize, currentConfig.fecParity);
+        if (!body) {
+            console.warn('FEC纠错失败，丢弃数据包');
+            return { failed: true, reason: 'fec', length: totalPacketBytes };
+        }
+
+        // 验证CRC
+        const payload = body.data.subarray(0, payloadLength);
+        const receivedCRC = body.data[payloadLength];
+        const calculatedCRC = this.calculateCRC(payload);
+
+        if (receivedCRC === calculatedCRC) {
+            return {
+                payload: payload,
+                length: totalPacketBytes,
+                correctedBits: body.correctedBits + this.fec.countBitErrors(rawLengthField, lengthField.codeword)
+            };
+        }
+
+        console.warn('CRC校验失败，丢弃数据包');
+        return { failed: true, reason: 'crc', length: totalPacketBytes };
+    }
+
+    calculateCRC(data) {
+        let crc = 0;
+        for (let i = 0; i < data.length; i++) {
+            crc ^= data[i];
+        }
+        return crc & 0xFF;
+    }
+
+    // 指定载荷长度的数据包编码后总字节数
+    getFrameLength(payloadLength, mode) {
+        const currentConfig = this.config[mode];
+        return this.packetHeader.length + 1 + this.lengthParity +
+            this.fec.encodedLength(payloadLength + 1, currentConfig.fecBlockSize, currentConfig.fecParity);
+    }
+
+    // 指定载荷长度的数据包以指定调制方式发送的时长（秒）
+    getFrameDuration(payloadLength, mode, profileName) {
+        const profile = this.getProfile(profileName, mode);
+        const bodyBytes = this.getFrameLength(payloadLength, mode) - this.packetHeader.length;
+        const symbols = (this.preamble.length + this.packetHeader.length + 1) * 8 +
+            Math.ceil(bodyBytes * 8 / profile.bitsPerSymbol);
+        return symbols / this.config[mode].symbolRate;
+    }
+
+    // 为（频段, 信道）创建解调器，符号事件中的音调换算为音调网格中的序号
+    createDemodulator(mode, channel, onEvent, sampleRate = this.sampleRate) {
+        const link = this.getLink(mode, channel);
+        const channelTones = this.config[mode].channels[channel];
+
+        return new SymbolDemodulator({
+            sampleRate: sampleRate,
+            tones: link.tones,
+            otherTones: link.otherTones,
+            symbolRate: link.symbolRate,
+            onEvent: (event) => onEvent(event.type === 'symbol' ? { ...event, tone: channelTones[event.tone] } : event)
+        });
+    }
+
+    // 离线解调：与实时接收相同的解调和组帧流程，每个（频段, 信道）使用独立的接收状态
+    // options: { modes, channels } 限定解调的频段和信道，默认为采样率支持的全部频段的全部信道
+    // 返回 { sampleRate, duration, packets }，packets 含无法纠正的帧（带 failed）
+    decodeSamples(samples, sampleRate = this.sampleRate, options = {}) {
+        const modes = options.modes || Object.keys(this.config).filter(mode => this.isModeSupported(mode, sampleRate));
+        const packets = [];
+        const demodulators = [];
+
+        for (const mode of modes) {
+            const channels = options.channels || this.config[mode].channels.map((tones, channel) => channel);
+
+            for (const channel of channels) {
+                const receiver = this.createReceiver(mode, channel);
+
+                demodulators.push(this.createDemodulator(mode, channel, (event) => {
+                    if (options.onEvent) {
+                        options.onEvent({ ...event, mode: mode, channel: channel });
+                    }
+                    if (event.type !== 'symbol') return;
+
+                    this.bufferSymbol(receiver, event.tone, event.timestamp, event.confidence, mode);
+                    const packet = this.findPacket(receiver, mode, channel);
+                    if (packet) {
+                        packet.time = event.timestamp; // 帧结束在样本中的时刻（秒）
+                        packet.clockDrift = event.drift;
+                        packets.push(packet);
+                    }
+                }, sampleRate));
+            }
+        }
+
+        // 与AudioWorklet相同按128个样本一块处理，末尾补两个最长符号周期的静音让最后的符号完成判决
+        const slowest = Math.min(...modes.map(mode => this.config[mode].symbolRate));
+        const tail = new Float32Array(Math.ceil(sampleRate * 2 / slowest));
+        for (const input of [samples, tail]) {
+            for (let offset = 0; offset < input.length; offset += 128) {
+                const block = input.subarray(offset, offset + 128);
+                for (const demodulator of demodulators) {
+                    demodulator.process(block);
+                }
+            }
+        }
+
+        return {
+            sampleRate: sampleRate,
+            duration: samples.length / sampleRate,
+            packets: packets
+        };
+    }
+}
+
+// 导出：页面和AudioWorklet中为全局变量，Node中同时作为CommonJS模块
+globalThis.NoiseFloorEstimator = NoiseFloorEstimator;
+globalThis.SymbolDemodulator = SymbolDemodulator;
+globalThis.ModemCore = ModemCore;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoiseFloorEstimator, SymbolDemodulator, ModemCore };
+}
@@ -0,0 +1,142 @@
+/**
+ * 原始音频录制模块
+ * 把麦克风的原始样本按块保存在IndexedDB中，只保留最近一段时间
+ * 用于把现场收不到消息的情况保存为WAV，再回放给接收处理器复现
+ */
+
+class CaptureRecorder {
+    // options.window: 保留最近多少秒的样本
+    // options.indexedDB: IndexedDB实现，默认为页面的 indexedDB，不可用时录制功能关闭
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'ultrasonic-capture';
+        this.storeName = 'chunks';
+        this.window = options.window || 60;
+        this.indexedDB = options.indexedDB || globalThis.indexedDB;
+        this.db = null;
+        this.wav = new WavCodec();
+    }
+
+    isSupported() {
+        return !!this.indexedDB;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.isSupported()) {
+            throw new Error('当前环境不支持IndexedDB');
+        }
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+        };
+        this.db = await this.request(request);
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // IndexedDB请求转为Promise
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 在一个事务中遍历所有块，callback 返回 false 时停止；reverse 为 true 时从最新的块开始
+    async iterate(mode, reverse, callback) {
+        const db = await this.open();
+        const transaction = db.transaction(this.storeName, mode);
+        const request = transaction.objectStore(this.storeName).openCursor(null, reverse ? 'prev' : 'next');
+
+        await new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || callback(cursor) === false) {
+                    resolve();
+                } else {
+                    cursor.continue();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 追加一块样本，并删除超出保留时长的旧块
+    async append(samples, sampleRate) {
+        const db = await this.open();
+        const transaction = db.transaction(this.storeName, 'readwrite');
+        await this.request(transaction.objectStore(this.storeName).add({
+            time: Date.now(),
+            sampleRate: sampleRate,
+            samples: samples
+        }));
+        await this.prune();
+    }
+
+    // 块按写入顺序排列，从最旧的开始删除，遇到仍在保留时长内的块即停止
+    async prune() {
+        const cutoff = Date.now() - this.window * 1000;
+        await this.iterate('readwrite', false, (cursor) => {
+            if (cursor.value.time >= cutoff) return false;
+            cursor.delete();
+        });
+    }
+
+    // 取最近 seconds 秒的样本，返回 { sampleRate, samples }，没有录音时返回 null
+    // 只拼接与最新一块采样率相同的连续块，中途切换过采样率时更早的部分被舍弃
+    async getLast(seconds) {
+        const chunks = [];
+        let sampleRate = null;
+        let total = 0;
+
+        await this.iterate('readonly', true, (cursor) => {
+            const chunk = cursor.value;
+            if (sampleRate === null) {
+                sampleRate = chunk.sampleRate;
+            }
+            if (chunk.sampleRate !== sampleRate) return false;
+
+            chunks.unshift(chunk.samples);
+            total += chunk.samples.length;
+            if (total >= seconds * sampleRate) return false;
+        });
+
+        if (chunks.length === 0) return null;
+
+        const samples = new Float32Array(total);
+        let offset = 0;
+        for (const chunk of chunks) {
+            samples.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        const length = Math.min(total, Math.round(seconds * sampleRate));
+        return { sampleRate, samples: samples.subarray(total - length) };
+    }
+
+    // 最近 seconds 秒的录音编码为WAV，默认32位浮点以保留微弱的超声波信号
+    async save(seconds, bitsPerSample = 32) {
+        const capture = await this.getLast(seconds);
+        if (!capture) return null;
+        return this.wav.encode(capture.samples, capture.sampleRate, bitsPerSample);
+    }
+
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction(this.storeName, 'readwrite');
+        await this.request(transaction.objectStore(this.storeName).clear());
+    }
+}
+
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.CaptureRecorder = CaptureRecorder;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CaptureRecorder };
+}
@@ -0,0 +1,22 @@
+// 发现：三台设备的时钟各有偏差，其中一台使用低频段，都能通过心跳和发现信号互相发现
+// 运行: node simulator.js scenarios/discovery.js
+module.exports = {
+    name: '三台设备互相发现',
+    duration: 300,
+    seed: 1,
+    channel: { noise: 0.0005, attenuation: 6 },
+    nodes: {
+        alice: { clockOffset: 40 },
+        bob: { clockOffset: -60, noise: 0.001 },
+        carol: { mode: 'low', clockOffset: 20 }
+    },
+    links: [{ from: 'alice', to: 'carol', attenuation: 10, delay: 0.02 }],
+    expect: [
+        { node: 'alice', detects: 'bob' },
+        { node: 'alice', detects: 'carol' },
+        { node: 'bob', detects: 'alice' },
+        { node: 'bob', detects: 'carol' },
+        { node: 'carol', detects: 'alice' },
+        { node: 'carol', detects: 'bob' }
+    ]
+};
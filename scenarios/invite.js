@@ -0,0 +1,33 @@
+// 邀请与接受：alice 创建公开聊天室并邀请 bob，bob 接受后双方在房间信道上聊天；未受邀的 carol 收不到房间内的消息
+// 开启可靠传输，信道繁忙未能发出或丢失的帧按确认超时重传
+// 运行: node simulator.js scenarios/invite.js
+module.exports = {
+    name: '邀请、接受并在聊天室中聊天',
+    duration: 600,
+    seed: 2,
+    channel: { noise: 0.0005, attenuation: 6 },
+    nodes: { alice: { profile: 'fsk4', clockOffset: 60 }, bob: { profile: 'fsk4' }, carol: { profile: 'fsk4' } },
+    steps: [
+        ...['alice', 'bob', 'carol'].map(name => ({ at: 0, node: name, action: node => node.chat.setReliableDelivery(true) })),
+        { at: 0, node: 'bob', action: node => { node.chat.onInviteReceived = invite => node.chat.acceptInvite(invite); } },
+        { at: 0, node: 'alice', action: async (node, sim) => {
+            const bob = sim.getNode('bob');
+            await sim.waitFor(() => node.chat.connectedUsers.has(bob.comm.myUserId), 120);
+            const room = await node.chat.createOrJoinRoom();
+            await node.chat.inviteUser(bob.comm.myUserId);
+            await sim.waitFor(() => room.members.has(bob.comm.myUserId), 300);
+            await node.chat.sendMessage('你好');
+        } },
+        { at: 0, node: 'bob', action: async (node, sim) => {
+            await sim.waitFor(() => node.messages.some(message => message.content === '你好'), 500);
+            await node.chat.sendMessage('收到');
+        } }
+    ],
+    expect: [
+        { node: 'bob', detects: 'alice' },
+        { node: 'bob', receives: { from: 'alice', content: '你好' }, count: 1 },
+        { node: 'alice', receives: { from: 'bob', content: '收到' }, count: 1 },
+        { node: 'carol', receives: { content: '你好' }, count: 0 },
+        sim => sim.getNode('bob').chat.currentRoom?.id === sim.getNode('alice').chat.currentRoom?.id
+    ]
+};
@@ -0,0 +1,34 @@
+// 私密房间的密钥交换：alice 创建私密房间并邀请 bob，bob 加入后 alice 轮换房间密钥并用两两密钥加密发给 bob，
+// 之后 alice 发出的加密消息 bob 能解密；未受邀的 carol 没有密钥，也不在房间信道上
+// 开启可靠传输，信道繁忙未能发出或丢失的帧按确认超时重传
+// 运行: node simulator.js scenarios/private-room.js
+module.exports = {
+    name: '私密房间交换密钥后加密聊天',
+    duration: 700,
+    seed: 3,
+    channel: { noise: 0.0005, attenuation: 6 },
+    nodes: { alice: { profile: 'fsk4' }, bob: { profile: 'fsk4', clockOffset: -50 }, carol: { profile: 'fsk4', clockOffset: 30 } },
+    steps: [
+        ...['alice', 'bob', 'carol'].map(name => ({ at: 0, node: name, action: node => node.chat.setReliableDelivery(true) })),
+        { at: 0, node: 'bob', action: node => { node.chat.onInviteReceived = invite => node.chat.acceptInvite(invite); } },
+        { at: 0, node: 'alice', action: async (node, sim) => {
+            const bob = sim.getNode('bob');
+            await sim.waitFor(() => node.chat.connectedUsers.has(bob.comm.myUserId), 120);
+            const room = await node.chat.createOrJoinRoom(null, true);
+            await node.chat.inviteUser(bob.comm.myUserId);
+            // bob 收到加入后轮换出的密钥，才能解密之后的消息
+            await sim.waitFor(() => bob.chat.rooms.get(room.id)?.keyId === room.keyId && room.keyEpoch > 1, 500);
+            await node.chat.sendMessage('只有房间成员能看到');
+        } }
+    ],
+    expect: [
+        { node: 'bob', receives: { from: 'alice', content: '只有房间成员能看到', isEncrypted: true }, count: 1 },
+        { node: 'carol', receives: { content: '只有房间成员能看到' }, count: 0 },
+        sim => {
+            const alice = sim.getNode('alice').chat.currentRoom;
+            const bob = sim.getNode('bob').chat.currentRoom;
+            return alice.isPrivate && bob?.id === alice.id && bob.keyId === alice.keyId && bob.keyEpoch === alice.keyEpoch;
+        },
+        sim => !sim.getNode('carol').chat.rooms.has(sim.getNode('alice').chat.currentRoom.id)
+    ]
+};
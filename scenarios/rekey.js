@@ -0,0 +1,49 @@
+// 成员离开后轮换密钥：alice 创建私密房间并邀请 bob 和 carol，两人都拿到房间密钥后 carol 离开，
+// alice 轮换出新一代密钥只发给 bob；之后的加密消息 bob 能解密，carol 没有新密钥
+// 开启可靠传输，信道繁忙未能发出或丢失的帧按确认超时重传
+// 运行: node simulator.js scenarios/rekey.js
+const hasRoomKey = (node, room) => node.chat.rooms.get(room.id)?.keyId === room.keyId;
+
+module.exports = {
+    name: '成员离开后轮换房间密钥',
+    duration: 1200,
+    seed: 4,
+    channel: { noise: 0.0005, attenuation: 6 },
+    nodes: { alice: { profile: 'fsk4' }, bob: { profile: 'fsk4', clockOffset: 40 }, carol: { profile: 'fsk4', clockOffset: -40 } },
+    steps: [
+        ...['alice', 'bob', 'carol'].map(name => ({ at: 0, node: name, action: node => node.chat.setReliableDelivery(true) })),
+        ...['bob', 'carol'].map(name => ({ at: 0, node: name, action: node => {
+            node.chat.onInviteReceived = invite => node.chat.acceptInvite(invite);
+        } })),
+        { at: 0, node: 'alice', action: async (node, sim) => {
+            const bob = sim.getNode('bob');
+            const carol = sim.getNode('carol');
+            await sim.waitFor(() => node.chat.connectedUsers.has(bob.comm.myUserId) && node.chat.connectedUsers.has(carol.comm.myUserId), 120);
+            const room = await node.chat.createOrJoinRoom(null, true);
+            await node.chat.inviteUser(bob.comm.myUserId);
+            await node.chat.inviteUser(carol.comm.myUserId);
+
+            // 两人都加入并拿到同一代密钥后 carol 离开，alice 收到离开通知后轮换密钥
+            await sim.waitFor(() => room.members.size === 3 && hasRoomKey(bob, room) && hasRoomKey(carol, room), 600);
+            const epoch = room.keyEpoch;
+            await carol.chat.leaveRoom();
+            await sim.waitFor(() => !room.members.has(carol.comm.myUserId) && room.keyEpoch > epoch && hasRoomKey(bob, room), 400);
+            await node.chat.sendMessage('轮换密钥之后的消息');
+        } }
+    ],
+    expect: [
+        { node: 'bob', receives: { from: 'alice', content: '轮换密钥之后的消息', isEncrypted: true }, count: 1 },
+        { node: 'carol', receives: { content: '轮换密钥之后的消息' }, count: 0 },
+        sim => {
+            const alice = sim.getNode('alice').chat.currentRoom;
+            const bob = sim.getNode('bob').chat.currentRoom;
+            return bob?.id === alice.id && bob.keyEpoch === alice.keyEpoch && !alice.members.has(sim.getNode('carol').comm.myUserId);
+        },
+        // carol 只留有离开之前的密钥
+        sim => {
+            const alice = sim.getNode('alice').chat.currentRoom;
+            const carol = sim.getNode('carol').chat.rooms.get(alice.id);
+            return carol.keys.size > 0 && !carol.keys.has(alice.keyId) && carol.keyEpoch < alice.keyEpoch;
+        }
+    ]
+};
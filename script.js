@@ -17,6 +17,7 @@ class ChaosChatApp {
         // 状态
         this.isUserInteracted = false;
         this.pendingInvite = null;
+        this.pendingVerification = null;
         
         this.init();
     }
@@ -34,6 +35,7 @@ class ChaosChatApp {
     initializeElements() {
         // 状态相关
         this.elements.statusText = document.getElementById('statusText');
+        this.elements.linkQuality = document.getElementById('linkQuality');
         this.elements.statusIndicator = document.querySelector('.indicator-dot');
         this.elements.userCount = document.getElementById('userCount');
         
@@ -44,6 +46,7 @@ class ChaosChatApp {
         // 聊天界面
         this.elements.chatView = document.getElementById('chatView');
         this.elements.chatTitle = document.getElementById('chatTitle');
+        this.elements.chatMembers = document.getElementById('chatMembers');
         this.elements.chatType = document.getElementById('chatType');
         this.elements.messagesContainer = document.getElementById('messagesContainer');
         this.elements.messageInput = document.getElementById('messageInput');
@@ -58,15 +61,32 @@ class ChaosChatApp {
         this.elements.closeSettings = document.getElementById('closeSettings');
         this.elements.usernameInput = document.getElementById('usernameInput');
         this.elements.frequencySelect = document.getElementById('frequencySelect');
+        this.elements.modulationSelect = document.getElementById('modulationSelect');
         this.elements.volumeSlider = document.getElementById('volumeSlider');
         this.elements.volumeValue = document.getElementById('volumeValue');
         this.elements.autoDiscovery = document.getElementById('autoDiscovery');
+        this.elements.reliableDelivery = document.getElementById('reliableDelivery');
+        this.elements.captureEnabled = document.getElementById('captureEnabled');
+        this.elements.captureSeconds = document.getElementById('captureSeconds');
+        this.elements.saveCaptureBtn = document.getElementById('saveCaptureBtn');
+        this.elements.replayCaptureBtn = document.getElementById('replayCaptureBtn');
+        this.elements.replayInput = document.getElementById('replayInput');
+        this.elements.identityInfo = document.getElementById('identityInfo');
+        this.elements.identityPassphrase = document.getElementById('identityPassphrase');
+        this.elements.exportIdentityBtn = document.getElementById('exportIdentityBtn');
+        this.elements.importIdentityBtn = document.getElementById('importIdentityBtn');
+        this.elements.importIdentityInput = document.getElementById('importIdentityInput');
         
         // 模态框
         this.elements.connectionModal = document.getElementById('connectionModal');
         this.elements.connectionMessage = document.getElementById('connectionMessage');
         this.elements.acceptBtn = document.getElementById('acceptBtn');
         this.elements.rejectBtn = document.getElementById('rejectBtn');
+        this.elements.verifyModal = document.getElementById('verifyModal');
+        this.elements.verifyMessage = document.getElementById('verifyMessage');
+        this.elements.safetyCode = document.getElementById('safetyCode');
+        this.elements.confirmVerifyBtn = document.getElementById('confirmVerifyBtn');
+        this.elements.cancelVerifyBtn = document.getElementById('cancelVerifyBtn');
         
         // Toast
         this.elements.toast = document.getElementById('toast');
@@ -97,8 +117,21 @@ class ChaosChatApp {
         
         this.elements.usernameInput.addEventListener('change', this.saveUsername.bind(this));
         this.elements.frequencySelect.addEventListener('change', this.changeFrequency.bind(this));
+        this.elements.modulationSelect.addEventListener('change', this.changeModulation.bind(this));
         this.elements.volumeSlider.addEventListener('input', this.changeVolume.bind(this));
         this.elements.autoDiscovery.addEventListener('change', this.toggleAutoDiscovery.bind(this));
+        this.elements.reliableDelivery.addEventListener('change', this.toggleReliableDelivery.bind(this));
+        this.elements.captureEnabled.addEventListener('change', this.toggleCapture.bind(this));
+        this.elements.saveCaptureBtn.addEventListener('click', this.saveCapture.bind(this));
+        this.elements.replayCaptureBtn.addEventListener('click', () => this.elements.replayInput.click());
+        this.elements.replayInput.addEventListener('change', this.replayCapture.bind(this));
+        this.elements.exportIdentityBtn.addEventListener('click', this.exportIdentity.bind(this));
+        this.elements.importIdentityBtn.addEventListener('click', () => this.elements.importIdentityInput.click());
+        this.elements.importIdentityInput.addEventListener('change', this.importIdentity.bind(this));
+        
+        // 安全码核对
+        this.elements.confirmVerifyBtn.addEventListener('click', this.confirmVerification.bind(this));
+        this.elements.cancelVerifyBtn.addEventListener('click', this.hideVerification.bind(this));
         
         // 连接请求处理
         this.elements.acceptBtn.addEventListener('click', this.acceptInvite.bind(this));
@@ -127,16 +160,24 @@ class ChaosChatApp {
             // 设置回调
             this.ultrasonicComm.onStatusChange = this.updateStatus.bind(this);
             this.ultrasonicComm.onUserDetected = this.handleUserDetected.bind(this);
+            this.ultrasonicComm.onModeChanged = this.handleModeChanged.bind(this);
             
-            // 初始化聊天管理器
+            // 初始化聊天管理器：用户ID由身份密钥派生，需等超声波模块载入身份密钥
+            await this.ultrasonicComm.ready;
             this.chatManager = new ChatManager(this.ultrasonicComm);
             
             // 设置聊天回调
             this.chatManager.onMessageReceived = this.handleMessageReceived.bind(this);
+            this.chatManager.onMessageSent = this.handleMessageSent.bind(this);
+            this.chatManager.onDeliveryStateChanged = this.handleDeliveryStateChanged.bind(this);
             this.chatManager.onUserJoined = this.handleUserJoined.bind(this);
             this.chatManager.onUserLeft = this.handleUserLeft.bind(this);
             this.chatManager.onRoomStateChanged = this.handleRoomStateChanged.bind(this);
             this.chatManager.onInviteReceived = this.handleInviteReceived.bind(this);
+            this.chatManager.onPeerVerificationChanged = this.handlePeerVerificationChanged.bind(this);
+            
+            this.updateModulationOptions();
+            await this.updateIdentityInfo();
             
             this.isInitialized = true;
             console.log('应用初始化完成');
@@ -166,8 +207,9 @@ class ChaosChatApp {
     }
     
     // 状态更新
-    updateStatus(status, message) {
+    updateStatus(status, message, linkQuality) {
         this.elements.statusText.textContent = message;
+        this.updateLinkQuality(linkQuality);
         
         // 更新状态指示器
         this.elements.statusIndicator.className = 'indicator-dot';
@@ -185,6 +227,28 @@ class ChaosChatApp {
         }
     }
     
+    // 链路质量显示：按信噪比分为三档
+    updateLinkQuality(linkQuality) {
+        const element = this.elements.linkQuality;
+        element.className = 'link-quality';
+        
+        if (!linkQuality || linkQuality.snr === null) {
+            element.textContent = '';
+            return;
+        }
+        
+        const snr = linkQuality.snr;
+        element.textContent = `${snr.toFixed(0)} dB`;
+        element.title = `信噪比 ${snr.toFixed(1)} dB`;
+        if (snr >= 20) {
+            element.classList.add('good');
+        } else if (snr >= 12) {
+            element.classList.add('fair');
+        } else {
+            element.classList.add('poor');
+        }
+    }
+    
     // 用户发现处理
     handleUserDetected(userId, userData) {
         console.log('发现用户:', userData.username);
@@ -206,8 +270,9 @@ class ChaosChatApp {
         const userElement = document.createElement('div');
         userElement.className = 'detected-user';
         userElement.textContent = userData.username.charAt(0).toUpperCase();
-        userElement.title = userData.username;
         userElement.dataset.userId = userId;
+        userElement.dataset.username = userData.username;
+        this.updateRadarVerification(userElement, this.chatManager.isPeerVerified(userId));
         
         // 随机位置（在圆圈周围）
         const angle = Math.random() * 2 * Math.PI;
@@ -236,8 +301,14 @@ class ChaosChatApp {
                 await this.chatManager.createOrJoinRoom();
             }
             
-            await this.chatManager.inviteUser(userId);
-            this.showToast(`已邀请 ${userData.username || '用户'} 加入聊天`);
+            const deliveryState = await this.chatManager.inviteUser(userId);
+            const username = userData.username || '用户';
+            
+            if (deliveryState === 'failed') {
+                this.showToast(`${username} 未确认收到邀请`);
+            } else {
+                this.showToast(`已邀请 ${username} 加入聊天`);
+            }
         } catch (error) {
             console.error('邀请失败:', error);
             this.showToast('邀请失败: ' + error.message);
@@ -248,7 +319,8 @@ class ChaosChatApp {
     handleInviteReceived(inviteData) {
         this.pendingInvite = inviteData;
         this.elements.connectionMessage.textContent = 
-            `${inviteData.fromUsername} 邀请您加入 ${inviteData.roomName}`;
+            `${inviteData.fromUsername} 邀请您加入 ${inviteData.roomName}` +
+            (inviteData.signed ? '' : '（邀请没有有效签名，无法确认邀请人身份）');
         this.showModal(this.elements.connectionModal);
     }
     
@@ -256,17 +328,23 @@ class ChaosChatApp {
     async acceptInvite() {
         if (!this.pendingInvite) return;
         
+        const inviteData = this.pendingInvite;
+        this.pendingInvite = null;
+        
         try {
-            await this.chatManager.acceptInvite(this.pendingInvite);
+            const joining = this.chatManager.acceptInvite(inviteData);
             this.hideModal(this.elements.connectionModal);
             this.showChatView();
             this.showToast('已加入聊天室');
+            
+            const deliveryState = await joining;
+            if (deliveryState === 'failed') {
+                this.showToast(`${inviteData.fromUsername} 未确认你的加入`);
+            }
         } catch (error) {
             console.error('接受邀请失败:', error);
             this.showToast('加入失败: ' + error.message);
         }
-        
-        this.pendingInvite = null;
     }
     
     // 拒绝邀请
@@ -311,8 +389,6 @@ class ChaosChatApp {
         try {
             this.elements.sendBtn.disabled = true;
             await this.chatManager.sendMessage(content);
-            this.elements.messageInput.value = '';
-            this.scrollToBottom();
         } catch (error) {
             console.error('发送消息失败:', error);
             this.showToast('发送失败: ' + error.message);
@@ -327,10 +403,33 @@ class ChaosChatApp {
         this.scrollToBottom();
     }
     
+    // 处理自己发出的消息
+    handleMessageSent(message) {
+        this.elements.messageInput.value = '';
+        this.addMessageToUI(message);
+        this.scrollToBottom();
+    }
+    
+    // 处理消息投递状态变化
+    // 未开启可靠传输的消息原本不显示状态，未能发出时再补上状态栏
+    handleDeliveryStateChanged(messageId, state) {
+        const messageElement = this.elements.messagesContainer.querySelector(`[data-message-id="${messageId}"]`);
+        if (!messageElement) return;
+        
+        let statusElement = messageElement.querySelector('.message-status');
+        if (!statusElement) {
+            statusElement = document.createElement('div');
+            messageElement.appendChild(statusElement);
+        }
+        statusElement.className = `message-status ${state}`;
+        statusElement.textContent = this.formatDeliveryState(state);
+    }
+    
     // 添加消息到UI
     addMessageToUI(message) {
         const messageElement = document.createElement('div');
         messageElement.className = `message ${message.isOwn ? 'own' : 'other'}`;
+        messageElement.dataset.messageId = message.messageId;
         
         if (message.isSystem) {
             messageElement.className += ' system';
@@ -339,17 +438,30 @@ class ChaosChatApp {
             messageElement.style.textAlign = 'center';
             messageElement.style.alignSelf = 'center';
             messageElement.style.fontStyle = 'italic';
+            
+            // 新一代房间密钥的起点，之后的消息用新密钥加密
+            if (message.keyEpoch) {
+                messageElement.className += ' key-epoch';
+            }
         }
         
         let html = '';
         
         if (!message.isOwn && !message.isSystem) {
-            html += `<div class="message-sender">${message.fromUsername || '未知用户'}</div>`;
+            // 没有有效签名的消息无法确认发送方，名字可能是冒充的
+            const unverified = message.signed === false ? '<span class="unverified-badge" title="消息没有可验证的签名，发送方可能是冒充的">未验证</span>' : '';
+            // 私密房间中不在已知成员里的发送方，可能是已离开的成员
+            const nonMember = message.nonMember ? '<span class="unverified-badge" title="发送方不在已知的房间成员中，可能是已离开的成员">非成员</span>' : '';
+            html += `<div class="message-sender">${this.escapeHtml(message.fromUsername || '未知用户')}${unverified}${nonMember}</div>`;
         }
         
         html += `<div class="message-content">${this.escapeHtml(message.content)}</div>`;
         html += `<div class="message-time">${this.formatTime(message.timestamp)}</div>`;
         
+        if (message.isOwn && message.deliveryState) {
+            html += `<div class="message-status ${message.deliveryState}">${this.formatDeliveryState(message.deliveryState)}</div>`;
+        }
+        
         messageElement.innerHTML = html;
         this.elements.messagesContainer.appendChild(messageElement);
         
@@ -363,23 +475,89 @@ class ChaosChatApp {
     // 处理用户加入
     handleUserJoined(userId, userData) {
         console.log('用户加入聊天:', userData.username);
+        this.updateChatMembers();
     }
     
     // 处理用户离开
     handleUserLeft(userId, userData) {
         console.log('用户离开聊天:', userData.username);
+        this.updateChatMembers();
+    }
+    
+    // 聊天头部的成员列表，已核对安全码的成员带 ✓，点击成员核对安全码
+    updateChatMembers() {
+        const container = this.elements.chatMembers;
+        container.innerHTML = '';
+        
+        for (const member of this.chatManager.getRoomMembers()) {
+            const badge = document.createElement('button');
+            badge.className = 'member-badge';
+            badge.classList.toggle('verified', member.verified);
+            badge.textContent = member.verified ? `${member.username} ✓` : member.username;
+            badge.title = member.verified ? '已核对安全码' : '点击核对安全码';
+            badge.addEventListener('click', () => this.showVerification(member.userId, member.username));
+            container.appendChild(badge);
+        }
+    }
+    
+    // 显示与对方的安全码，双方核对一致后标记为已验证
+    async showVerification(userId, username) {
+        const code = await this.chatManager.getSafetyCode(userId);
+        if (!code) {
+            this.showToast(`尚未与 ${username} 交换密钥`);
+            return;
+        }
+        
+        this.pendingVerification = userId;
+        const verified = this.chatManager.isPeerVerified(userId);
+        this.elements.verifyMessage.textContent = verified
+            ? `已与 ${username} 核对过安全码`
+            : `请与 ${username} 当面或通过电话念出安全码，双方显示的数字一致时确认`;
+        this.elements.safetyCode.textContent = code;
+        this.elements.confirmVerifyBtn.textContent = verified ? '取消验证' : '一致，标记为已验证';
+        this.showModal(this.elements.verifyModal);
+    }
+    
+    confirmVerification() {
+        const userId = this.pendingVerification;
+        if (userId) {
+            this.chatManager.setPeerVerified(userId, !this.chatManager.isPeerVerified(userId));
+        }
+        this.hideVerification();
+    }
+    
+    hideVerification() {
+        this.pendingVerification = null;
+        this.hideModal(this.elements.verifyModal);
+    }
+    
+    // 验证状态变化时更新聊天头部和雷达
+    handlePeerVerificationChanged(userId, verified) {
+        const element = this.discoveredUserElements.get(userId);
+        if (element) {
+            this.updateRadarVerification(element, verified);
+        }
+        this.updateChatMembers();
+    }
+    
+    updateRadarVerification(element, verified) {
+        element.classList.toggle('verified', verified);
+        element.title = verified ? `${element.dataset.username}（已验证）` : element.dataset.username;
     }
     
     // 处理房间状态变化
     handleRoomStateChanged(room) {
         if (room) {
             this.elements.chatTitle.textContent = room.name;
-            this.elements.chatType.textContent = room.isPrivate ? '私密' : '公开';
+            this.elements.chatType.textContent = `${room.isPrivate ? '私密' : '公开'} · 信道${room.channel}`;
             this.elements.privacyToggle.textContent = room.isPrivate ? '🔒' : '🔓';
+            this.updateChatMembers();
         } else {
             // 房间已关闭，返回雷达界面
             this.showRadarView();
         }
+        
+        this.updateModulationOptions();
     }
     
     // 切换隐私模式
@@ -426,11 +604,59 @@ class ChaosChatApp {
     changeFrequency() {
         const mode = this.elements.frequencySelect.value;
         if (this.ultrasonicComm) {
+            if (mode === 'auto') {
+                this.ultrasonicComm.setAutoBandSwitching(true);
+                this.showToast('已启用自动频段切换');
+                return;
+            }
+            
+            this.ultrasonicComm.setAutoBandSwitching(false);
             this.ultrasonicComm.setMode(mode);
             this.showToast(`已切换到${mode === 'high' ? '高频' : '低频'}模式`);
         }
     }
     
+    // 自动频段切换通知
+    handleModeChanged(mode, info) {
+        const band = mode === 'high' ? '高频' : '低频';
+        const user = this.ultrasonicComm.discoveredUsers.get(info.userId);
+        const name = user ? user.username : '对方';
+        
+        switch (info.reason) {
+            case 'fallback':
+                this.showToast(`与 ${name} 的信号较差，已切换到${band}模式`);
+                break;
+            case 'climb':
+                this.showToast(`与 ${name} 的信号良好，已切换到${band}模式`);
+                break;
+            case 'negotiated':
+                this.showToast(`${name} 请求切换，已切换到${band}模式`);
+                break;
+            case 'rollback':
+                this.showToast(`未在新频段收到 ${name} 的消息，已回到${band}模式`);
+                break;
+        }
+    }
+    
+    // 信道音调不足的调制方式不可选，显示实际使用的调制方式
+    updateModulationOptions() {
+        const comm = this.ultrasonicComm;
+        const channel = comm.getActiveChannel();
+        
+        for (const option of this.elements.modulationSelect.options) {
+            option.disabled = !comm.modem.getProfile(option.value, comm.currentMode, channel);
+        }
+        this.elements.modulationSelect.value = comm.getTransmitProfile(comm.currentMode, channel);
+    }
+    
+    changeModulation() {
+        const profile = this.elements.modulationSelect.value;
+        if (this.ultrasonicComm) {
+            this.ultrasonicComm.setProfile(profile);
+            this.showToast(`已切换到${this.elements.modulationSelect.selectedOptions[0].textContent}`);
+        }
+    }
+    
     changeVolume() {
         const volume = this.elements.volumeSlider.value;
         this.elements.volumeValue.textContent = `${volume}%`;
@@ -455,6 +681,107 @@ class ChaosChatApp {
         }
     }
     
+    toggleReliableDelivery() {
+        const enabled = this.elements.reliableDelivery.checked;
+        localStorage.setItem('reliableDelivery', enabled);
+        
+        if (this.chatManager) {
+            this.chatManager.setReliableDelivery(enabled);
+        }
+    }
+    
+    // 调试录音：原始麦克风样本保存在本机，关闭时删除
+    toggleCapture() {
+        const enabled = this.elements.captureEnabled.checked;
+        localStorage.setItem('captureEnabled', enabled);
+        
+        if (this.ultrasonicComm) {
+            this.ultrasonicComm.setCaptureEnabled(enabled);
+            this.showToast(enabled ? '已开始录制原始音频' : '已停止录制并删除录音');
+        }
+    }
+    
+    async saveCapture() {
+        const seconds = Math.max(1, Math.min(60, Number(this.elements.captureSeconds.value) || 30));
+        const bytes = this.ultrasonicComm && await this.ultrasonicComm.saveCapture(seconds);
+        if (!bytes) {
+            this.showToast('没有可保存的录音');
+            return;
+        }
+        
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/wav' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `capture-${new Date().toISOString().replace(/[:.]/g, '-')}.wav`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // 回放选择的WAV录音，解码出的消息和实时接收的一样显示
+    async replayCapture() {
+        const file = this.elements.replayInput.files[0];
+        this.elements.replayInput.value = '';
+        if (!file || !this.ultrasonicComm) return;
+        
+        try {
+            this.hideSettings();
+            this.showToast('正在回放录音');
+            await this.ultrasonicComm.replayCapture(new Uint8Array(await file.arrayBuffer()));
+            this.showToast('录音回放完成');
+        } catch (error) {
+            console.error('回放录音失败:', error);
+            this.showToast('回放录音失败');
+        }
+    }
+    
+    // 设置中显示用户ID和身份指纹，与对方比对指纹可确认对方看到的是自己的身份
+    async updateIdentityInfo() {
+        const identity = this.ultrasonicComm.identity;
+        const fingerprint = await identity.getFingerprint();
+        this.elements.identityInfo.textContent = `ID ${identity.userId} · 指纹 ${fingerprint}`;
+    }
+    
+    // 导出身份备份：私钥用输入的口令加密后下载为JSON文件
+    async exportIdentity() {
+        const passphrase = this.elements.identityPassphrase.value;
+        if (passphrase.length < 8) {
+            this.showToast('请先输入至少8个字符的备份口令');
+            return;
+        }
+        
+        try {
+            const backup = await this.ultrasonicComm.identity.exportBackup(passphrase);
+            const url = URL.createObjectURL(new Blob([backup], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `chaos-chat-identity-${this.ultrasonicComm.myUserId}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.elements.identityPassphrase.value = '';
+            this.showToast('身份备份已导出，请妥善保管口令');
+        } catch (error) {
+            console.error('导出身份失败:', error);
+            this.showToast('导出身份失败: ' + error.message);
+        }
+    }
+    
+    // 导入身份备份：替换本机的身份密钥，用户ID随之改变，重新加载页面后生效
+    async importIdentity() {
+        const file = this.elements.importIdentityInput.files[0];
+        this.elements.importIdentityInput.value = '';
+        if (!file) return;
+        
+        try {
+            const userId = await this.ultrasonicComm.identity.importBackup(await file.text(), this.elements.identityPassphrase.value);
+            this.elements.identityPassphrase.value = '';
+            this.showToast(`已导入身份 ${userId}，即将重新加载`);
+            setTimeout(() => location.reload(), 1500);
+        } catch (error) {
+            console.error('导入身份失败:', error);
+            this.showToast('导入身份失败: ' + error.message);
+        }
+    }
+    
     // 加载设置
     loadSettings() {
         const username = localStorage.getItem('username');
@@ -466,6 +793,18 @@ class ChaosChatApp {
         if (autoDiscovery !== null) {
             this.elements.autoDiscovery.checked = autoDiscovery === 'true';
         }
+        
+        const reliableDelivery = localStorage.getItem('reliableDelivery');
+        this.elements.reliableDelivery.checked = reliableDelivery === 'true';
+        if (this.chatManager) {
+            this.chatManager.setReliableDelivery(reliableDelivery === 'true');
+        }
+        
+        const captureEnabled = localStorage.getItem('captureEnabled') === 'true';
+        this.elements.captureEnabled.checked = captureEnabled;
+        if (this.ultrasonicComm && captureEnabled) {
+            this.ultrasonicComm.setCaptureEnabled(true);
+        }
     }
     
     // UI工具函数
@@ -499,6 +838,19 @@ class ChaosChatApp {
         return div.innerHTML;
     }
     
+    formatDeliveryState(state) {
+        switch (state) {
+            case 'pending':
+                return '等待确认';
+            case 'delivered':
+                return '已送达';
+            case 'failed':
+                return '发送失败';
+            default:
+                return '';
+        }
+    }
+    
     formatTime(timestamp) {
         const date = new Date(timestamp);
         return date.toLocaleTimeString('zh-CN', {
@@ -510,13 +862,12 @@ class ChaosChatApp {
     // 清理过期用户
     cleanupExpiredUsers() {
         const now = Date.now();
-        const timeout = 15000; // 15秒超时
         
         for (const [userId, element] of this.discoveredUserElements.entries()) {
             const users = this.ultrasonicComm.getDiscoveredUsers();
             const user = users.find(u => u.userId === userId);
             
-            if (!user || now - user.lastSeen > timeout) {
+            if (!user || now - user.lastSeen > this.ultrasonicComm.getPresenceTimeout(userId)) {
                 element.remove();
                 this.discoveredUserElements.delete(userId);
             }
@@ -3,9 +3,9 @@
  * 提供缓存策略和离线功能支持
  */
 
-const CACHE_NAME = 'chaos-chat-v1.0.1';
-const STATIC_CACHE_NAME = 'chaos-chat-static-v1.0.1';
-const DYNAMIC_CACHE_NAME = 'chaos-chat-dynamic-v1.0.1';
+const CACHE_NAME = 'chaos-chat-v1.0.14';
+const STATIC_CACHE_NAME = 'chaos-chat-static-v1.0.14';
+const DYNAMIC_CACHE_NAME = 'chaos-chat-dynamic-v1.0.14';
 
 // 需要缓存的静态资源
 const STATIC_ASSETS = [
@@ -13,6 +13,15 @@ const STATIC_ASSETS = [
     './index.html',
     './style.css',
     './script.js',
+    './fec.js',
+    './wire.js',
+    './wav.js',
+    './recorder.js',
+    './compression.js',
+    './modem.js',
+    './ultrasonic-worklet.js',
+    './e2e.js',
+    './identity.js',
     './ultrasonic.js',
     './chat.js',
     './manifest.json'
@@ -25,6 +34,15 @@ const CACHE_STRATEGIES = {
         '/index.html',
         '/style.css',
         '/script.js', 
+        '/fec.js',
+        '/wire.js',
+        '/wav.js',
+        '/recorder.js',
+        '/compression.js',
+        '/modem.js',
+        '/ultrasonic-worklet.js',
+        '/e2e.js',
+        '/identity.js',
         '/ultrasonic.js',
         '/chat.js',
         '/manifest.json'
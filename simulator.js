@@ -0,0 +1,795 @@
+/**
+ * 声学信道模拟器
+ * 在同一个Node进程中连接多个 UltrasonicComm / ChatManager 实例：各节点发出的音频按链路的衰减和延迟混合，
+ * 叠加噪声、干扰和发送端时钟偏差后送入各节点的AudioWorklet处理器，与真实设备走同一条收发路径
+ * 定时器和 Date.now 由虚拟时钟接管，几分钟的通信不必真的等几分钟
+ * 场景运行器按时间表执行操作，并对各节点 onMessageReceived 和 onUserDetected 收到的内容做断言
+ *
+ * 用法: node simulator.js <场景文件>...
+ * 同一进程中同时只能运行一个模拟器（替换了全局的定时器、Date.now 和 Math.random）
+ */
+
+require('./modem.js');
+require('./ultrasonic.js');
+require('./chat.js');
+
+// AudioWorklet全局作用域：处理器基类和注册函数，载入 ultrasonic-worklet.js 前提供
+const workletProcessors = new Map();
+let pendingProcessorPort = null; // 创建处理器时交给基类的消息端口
+
+class SimulatedMessagePort {
+    constructor() {
+        this.peer = null;
+        this.onmessage = null;
+    }
+
+    // 同步投递到对端，事件顺序与音频处理顺序一致
+    postMessage(data) {
+        if (this.peer && this.peer.onmessage) {
+            this.peer.onmessage({ data: data });
+        }
+    }
+
+    static createPair() {
+        const a = new SimulatedMessagePort();
+        const b = new SimulatedMessagePort();
+        a.peer = b;
+        b.peer = a;
+        return [a, b];
+    }
+}
+
+globalThis.AudioWorkletProcessor = class AudioWorkletProcessor {
+    constructor() {
+        this.port = pendingProcessorPort;
+    }
+};
+globalThis.registerProcessor = (name, processor) => workletProcessors.set(name, processor);
+require('./ultrasonic-worklet.js');
+
+/**
+ * 虚拟时钟
+ * 接管 setTimeout / setInterval / Date.now，由模拟器按音频块推进；
+ * 每触发一个定时器就让出一次事件循环，使其中发起的Promise在下一个定时器之前继续执行
+ */
+class VirtualClock {
+    constructor(startTime = Date.now()) {
+        this.startTime = startTime;
+        this.now = startTime;
+        this.timers = new Map();
+        this.nextId = 1;
+        this.nextSequence = 0;
+        this.originals = null;
+        this.pending = 0; // 进行中的线程池异步操作（WebCrypto、压缩）
+    }
+
+    install() {
+        this.originals = {
+            setTimeout: globalThis.setTimeout,
+            clearTimeout: globalThis.clearTimeout,
+            setInterval: globalThis.setInterval,
+            clearInterval: globalThis.clearInterval,
+            now: Date.now
+        };
+
+        globalThis.setTimeout = (callback, delay, ...args) => this.schedule(callback, delay, args, false);
+        globalThis.setInterval = (callback, delay, ...args) => this.schedule(callback, delay, args, true);
+        globalThis.clearTimeout = (id) => this.timers.delete(id);
+        globalThis.clearInterval = (id) => this.timers.delete(id);
+        Date.now = () => Math.floor(this.now);
+    }
+
+    uninstall() {
+        if (!this.originals) return;
+
+        globalThis.setTimeout = this.originals.setTimeout;
+        globalThis.clearTimeout = this.originals.clearTimeout;
+        globalThis.setInterval = this.originals.setInterval;
+        globalThis.clearInterval = this.originals.clearInterval;
+        Date.now = this.originals.now;
+        this.originals = null;
+        this.timers.clear();
+    }
+
+    schedule(callback, delay, args, repeat) {
+        const interval = Math.max(0, Number(delay) || 0);
+        const id = this.nextId++;
+        this.timers.set(id, {
+            callback: callback,
+            args: args,
+            due: this.now + interval,
+            interval: repeat ? Math.max(1, interval) : null,
+            sequence: this.nextSequence++
+        });
+        return id;
+    }
+
+    // 推进到 time（毫秒），按到期时间和创建顺序触发定时器
+    async advanceTo(time) {
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.due <= time && (!next || timer.due < next.due || (timer.due === next.due && timer.sequence < next.sequence))) {
+                    nextId = id;
+                    next = timer;
+                }
+            }
+            if (!next) break;
+
+            this.now = Math.max(this.now, next.due);
+            if (next.interval === null) {
+                this.timers.delete(nextId);
+            } else {
+                next.due += next.interval;
+                next.sequence = this.nextSequence++;
+            }
+
+            try {
+                next.callback(...next.args);
+            } catch (error) {
+                console.error('定时器回调出错:', error);
+            }
+            await this.settle();
+        }
+
+        this.now = Math.max(this.now, time);
+    }
+
+    // 登记一个在线程池中完成的异步操作，完成前虚拟时间不推进
+    track(promise) {
+        this.pending++;
+        return promise.finally(() => this.pending--);
+    }
+
+    // 让出事件循环，等待已就绪的Promise和登记的异步操作执行完
+    // 这些操作的实际耗时不固定，不等待时结果会随机器负载变化
+    async settle() {
+        do {
+            await new Promise(resolve => setImmediate(resolve));
+        } while (this.pending > 0);
+    }
+}
+
+/**
+ * 模拟的音频上下文
+ * 实现 UltrasonicComm 用到的部分：缓冲区播放、麦克风输入和AudioWorklet，播放的样本交给声学信道混合
+ */
+class SimulatedAudioContext {
+    constructor(node, channel) {
+        this.node = node;
+        this.channel = channel;
+        this.sampleRate = channel.sampleRate;
+        this.state = 'running';
+        this.baseLatency = 0;
+        this.outputLatency = 0;
+        this.destination = {};
+        this.audioWorklet = {
+            addModule: async () => {} // 处理器已在模拟器中注册
+        };
+    }
+
+    get currentTime() {
+        return this.channel.sampleTime / this.sampleRate;
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async close() {
+        this.state = 'closed';
+        this.node.input = null;
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        const data = new Float32Array(length);
+        return {
+            numberOfChannels: 1,
+            length: length,
+            sampleRate: sampleRate,
+            duration: length / sampleRate,
+            getChannelData: () => data
+        };
+    }
+
+    createBufferSource() {
+        const context = this;
+        return {
+            buffer: null,
+            onended: null,
+            connect() {},
+            disconnect() {},
+            start() {
+                context.channel.play(context.node, this.buffer.getChannelData(0), () => {
+                    if (this.onended) this.onended();
+                });
+            }
+        };
+    }
+
+    // 麦克风：连接到的处理器节点即为该节点的接收输入
+    createMediaStreamSource() {
+        return {
+            connect: (target) => {
+                this.node.input = target;
+            },
+            disconnect: () => {
+                this.node.input = null;
+            }
+        };
+    }
+}
+
+/**
+ * 模拟的AudioWorklet节点：在本进程中创建 ultrasonic-worklet.js 注册的处理器，通过一对消息端口通信
+ */
+class SimulatedWorkletNode {
+    constructor(context, name) {
+        const Processor = workletProcessors.get(name);
+        if (!Processor) {
+            throw new Error(`未注册的AudioWorklet处理器: ${name}`);
+        }
+
+        const [port, processorPort] = SimulatedMessagePort.createPair();
+        this.port = port;
+        pendingProcessorPort = processorPort;
+        this.processor = new Processor();
+        pendingProcessorPort = null;
+    }
+
+    connect() {}
+
+    disconnect() {
+        this.port.onmessage = null;
+    }
+
+    process(block) {
+        this.processor.process([[block]], [[]], {});
+    }
+}
+
+/**
+ * 声学信道
+ * 按（发送节点, 接收节点）的链路参数混合所有正在播放的信号，每个接收节点叠加各自的白噪声和公共的干扰
+ * 节点也会听到自己发出的信号（回声），链路参数同样适用
+ */
+class AcousticChannel {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 48000;
+        this.blockSize = 128; // 与AudioWorklet的渲染量子相同
+        this.noise = options.noise ?? 0.0005; // 接收端白噪声的均方根幅度，超声波频段的环境噪声通常很低
+        this.defaultLink = {
+            attenuation: options.attenuation ?? 6, // dB
+            delay: options.delay ?? 0.003           // 秒，约1米的声程
+        };
+        this.links = new Map(); // "发送节点>接收节点" -> { attenuation, delay }
+        this.interference = []; // [{ start, duration, frequency, level }]，frequency 为空时为白噪声
+        this.random = options.random || Math.random;
+
+        this.nodes = [];
+        this.transmissions = [];
+        this.sampleTime = 0; // 已处理的样本数
+        this.stats = { transmissions: 0, overlaps: 0 };
+    }
+
+    addNode(node) {
+        this.nodes.push(node);
+    }
+
+    removeNode(node) {
+        this.nodes = this.nodes.filter(other => other !== node);
+    }
+
+    // 设置链路参数，未设置的链路使用默认参数；symmetric 为真时同时设置反方向
+    setLink(from, to, params, symmetric = true) {
+        this.links.set(`${from}>${to}`, { ...this.getLink(from, to), ...params });
+        if (symmetric && from !== to) {
+            this.links.set(`${to}>${from}`, { ...this.getLink(to, from), ...params });
+        }
+    }
+
+    getLink(from, to) {
+        return this.links.get(`${from}>${to}`) || this.defaultLink;
+    }
+
+    // 在 start 秒处加入持续 duration 秒的干扰：单音或白噪声
+    addInterference(interference) {
+        this.interference.push({ frequency: null, level: 0.1, ...interference });
+    }
+
+    // 节点开始播放，发送端时钟偏差（ppm）体现为信号被拉伸或压缩，播放完成后回调 onEnded
+    play(node, samples, onEnded) {
+        const transmission = {
+            node: node,
+            samples: this.resample(samples, 1 + (node.clockOffset || 0) * 1e-6),
+            start: this.sampleTime,
+            onEnded: onEnded,
+            ended: false
+        };
+        transmission.end = transmission.start + transmission.samples.length;
+
+        // 与其他节点正在播放的信号重叠，不区分信道
+        for (const other of this.transmissions) {
+            if (!other.ended && other.node !== node) {
+                this.stats.overlaps++;
+            }
+        }
+
+        this.stats.transmissions++;
+        this.transmissions.push(transmission);
+    }
+
+    // 线性插值重采样，factor 大于1时信号变长
+    resample(samples, factor) {
+        if (factor === 1) return samples;
+
+        const out = new Float32Array(Math.round(samples.length * factor));
+        for (let i = 0; i < out.length; i++) {
+            const position = i / factor;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, samples.length - 1);
+            const fraction = position - index;
+            out[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+        }
+        return out;
+    }
+
+    // 处理一个音频块：为每个正在接收的节点混合信号并送入其处理器
+    process() {
+        for (const node of this.nodes) {
+            if (node.input) {
+                node.input.process(this.render(node, this.sampleTime, this.blockSize));
+            }
+        }
+        this.sampleTime += this.blockSize;
+
+        // 播放完成的信号通知发送端；所有链路上的延迟都已过去后移除
+        const maxDelay = Math.ceil(Math.max(this.defaultLink.delay, ...[...this.links.values()].map(link => link.delay)) * this.sampleRate);
+        for (const transmission of this.transmissions) {
+            if (!transmission.ended && transmission.end <= this.sampleTime) {
+                transmission.ended = true;
+                transmission.onEnded();
+            }
+        }
+        this.transmissions = this.transmissions.filter(transmission => transmission.end + maxDelay > this.sampleTime);
+    }
+
+    // 节点在 [start, start + length) 期间听到的声音
+    render(node, start, length) {
+        const out = new Float32Array(length);
+
+        for (const transmission of this.transmissions) {
+            const link = this.getLink(transmission.node.name, node.name);
+            const gain = Math.pow(10, -link.attenuation / 20);
+            const offset = start - transmission.start - Math.round(link.delay * this.sampleRate);
+
+            for (let i = Math.max(0, -offset); i < length && offset + i < transmission.samples.length; i++) {
+                out[i] += transmission.samples[offset + i] * gain;
+            }
+        }
+
+        for (const interference of this.interference) {
+            const from = Math.round(interference.start * this.sampleRate);
+            const to = from + Math.round(interference.duration * this.sampleRate);
+            for (let i = Math.max(0, from - start); i < length && start + i < to; i++) {
+                out[i] += interference.frequency === null
+                    ? this.gaussian() * interference.level
+                    : Math.sin(2 * Math.PI * interference.frequency * (start + i) / this.sampleRate) * interference.level;
+            }
+        }
+
+        const noise = node.noise ?? this.noise;
+        if (noise > 0) {
+            for (let i = 0; i < length; i++) {
+                out[i] += this.gaussian() * noise;
+            }
+        }
+
+        return out;
+    }
+
+    // 标准正态分布（Box-Muller）
+    gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+/**
+ * 模拟器
+ * 创建节点（UltrasonicComm 及可选的 ChatManager），按音频块推进虚拟时间并记录各节点收到的消息和发现的用户
+ */
+class AcousticSimulator {
+    // options: 声学信道参数 { sampleRate, noise, attenuation, delay }，以及 seed（固定随机数，结果可重现）和 startTime
+    constructor(options = {}) {
+        this.random = options.seed !== undefined ? this.createRandom(options.seed) : Math.random;
+        this.channel = new AcousticChannel({ ...options, random: this.random });
+        this.clock = new VirtualClock(options.startTime);
+        this.nodes = new Map();
+        this.originals = null;
+        this.subtleMethods = ['encrypt', 'decrypt', 'sign', 'verify', 'digest', 'generateKey', 'deriveKey', 'deriveBits', 'importKey', 'exportKey', 'wrapKey', 'unwrapKey'];
+        this.install();
+    }
+
+    install() {
+        this.originals = { random: Math.random, sampleRate: globalThis.sampleRate };
+        Math.random = this.random;
+        globalThis.sampleRate = this.channel.sampleRate; // AudioWorkletGlobalScope 中的采样率
+        this.clock.install();
+        this.trackAsync(globalThis.crypto.subtle, this.subtleMethods);
+    }
+
+    // WebCrypto和压缩在线程池中完成，把这些方法的调用登记到虚拟时钟，完成前不推进时间
+    // 方法以自有属性覆盖在对象上，删除即恢复原型上的实现
+    trackAsync(target, names) {
+        for (const name of names) {
+            const method = target[name];
+            target[name] = (...args) => this.clock.track(method.apply(target, args));
+        }
+    }
+
+    untrackAsync(target, names) {
+        for (const name of names) {
+            delete target[name];
+        }
+    }
+
+    // 可重现的伪随机数（mulberry32）
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // 当前虚拟时间（秒）
+    get time() {
+        return this.channel.sampleTime / this.channel.sampleRate;
+    }
+
+    // 添加节点
+    // options: { username, clockOffset（ppm）, noise, mode, profile, chat（默认 true）, discovery（默认 true）, listenBeforeTalk（默认 true） }
+    async addNode(name, options = {}) {
+        if (this.nodes.has(name)) {
+            throw new Error(`节点已存在: ${name}`);
+        }
+
+        const settings = new Map([['username', options.username || name]]);
+        const node = {
+            name: name,
+            clockOffset: options.clockOffset || 0,
+            noise: options.noise ?? null,
+            input: null,
+            messages: [],   // onMessageReceived 收到的消息，附带收到时的虚拟时间 receivedAt（秒）
+            detections: []  // onUserDetected 收到的 { userId, data, receivedAt }
+        };
+
+        node.comm = new UltrasonicComm({
+            audio: {
+                createContext: () => new SimulatedAudioContext(node, this.channel),
+                getUserMedia: async () => ({
+                    getAudioTracks: () => [{ getSettings: () => ({ sampleRate: this.channel.sampleRate }) }]
+                }),
+                createWorkletNode: (context, processorName) => new SimulatedWorkletNode(context, processorName)
+            },
+            storage: {
+                getItem: (key) => settings.get(key) ?? null,
+                setItem: (key, value) => settings.set(key, String(value))
+            }
+        });
+        this.trackAsync(node.comm.compressor, ['deflate', 'inflate']);
+        while (!node.comm.isInitialized && node.comm.status !== 'error') {
+            await this.clock.settle();
+        }
+        if (!node.comm.isInitialized) {
+            throw new Error(`节点初始化失败: ${name}`);
+        }
+
+        if (options.mode) node.comm.setMode(options.mode);
+        if (options.profile) node.comm.setProfile(options.profile);
+
+        // 关闭先听后说，用于制造碰撞
+        if (options.listenBeforeTalk === false) {
+            node.comm.waitForClearChannel = async () => true;
+        }
+
+        if (options.chat !== false) {
+            node.chat = new ChatManager(node.comm);
+            node.chat.onMessageReceived = (message) => {
+                node.messages.push({ ...message, receivedAt: this.time });
+            };
+        }
+
+        // ChatManager 会接管 onUserDetected，记录后再交给它处理
+        const onUserDetected = node.comm.onUserDetected;
+        node.comm.onUserDetected = (userId, data) => {
+            node.detections.push({ userId: userId, data: data, receivedAt: this.time });
+            if (onUserDetected) onUserDetected(userId, data);
+        };
+
+        this.channel.addNode(node);
+        this.nodes.set(name, node);
+
+        if (options.discovery !== false) {
+            node.comm.startDiscovery();
+        } else {
+            await node.comm.startReceiving();
+        }
+
+        return node;
+    }
+
+    getNode(name) {
+        const node = this.nodes.get(name);
+        if (!node) {
+            throw new Error(`未知节点: ${name}`);
+        }
+        return node;
+    }
+
+    // 节点之间的链路参数：{ attenuation（dB）, delay（秒） }
+    setLink(from, to, params, symmetric = true) {
+        this.channel.setLink(from, to, params, symmetric);
+    }
+
+    addInterference(interference) {
+        this.channel.addInterference(interference);
+    }
+
+    // 在 at 秒（虚拟时间）执行 action(node, simulator)；action 可以是异步的，不阻塞时间推进
+    schedule(at, action) {
+        const delay = Math.max(0, (at - this.time) * 1000);
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                Promise.resolve().then(action).then(resolve, reject);
+            }, delay);
+        });
+    }
+
+    // 推进 seconds 秒虚拟时间
+    async run(seconds) {
+        const end = this.channel.sampleTime + Math.round(seconds * this.channel.sampleRate);
+
+        while (this.channel.sampleTime < end) {
+            const blockEnd = this.channel.sampleTime + this.channel.blockSize;
+            await this.clock.advanceTo(this.clock.startTime + blockEnd / this.channel.sampleRate * 1000);
+            this.channel.process();
+            await this.clock.settle();
+        }
+    }
+
+    // 运行直到 condition() 为真或超过 timeout 秒，返回 condition 是否满足
+    async runUntil(condition, timeout) {
+        const deadline = this.time + timeout;
+        while (!condition()) {
+            if (this.time >= deadline) return false;
+            await this.run(Math.min(0.1, deadline - this.time));
+        }
+        return true;
+    }
+
+    // 在操作中等待 condition() 为真，每0.5秒（虚拟时间）检查一次，超过 timeout 秒时抛出异常
+    // 场景据此按状态推进（如对方收到房间密钥后再发消息），不依赖各帧的发送时长
+    async waitFor(condition, timeout = Infinity) {
+        const deadline = this.time + timeout;
+        while (!condition()) {
+            if (this.time >= deadline) {
+                throw new Error(`等待超时: ${condition}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
+
+    // 销毁所有节点并恢复全局的定时器、Date.now 和 Math.random
+    async destroy() {
+        for (const node of this.nodes.values()) {
+            try {
+                if (node.chat) node.chat.destroy();
+                node.comm.destroy();
+            } catch (error) {
+                console.error('销毁节点出错:', node.name, error);
+            }
+        }
+        await this.clock.settle();
+
+        this.nodes.clear();
+        this.clock.uninstall();
+        this.untrackAsync(globalThis.crypto.subtle, this.subtleMethods);
+        if (this.originals) {
+            Math.random = this.originals.random;
+            globalThis.sampleRate = this.originals.sampleRate;
+            this.originals = null;
+        }
+    }
+}
+
+/**
+ * 场景运行器
+ * 场景: {
+ *   name, duration（秒）, seed, channel（声学信道参数）,
+ *   nodes: { 节点名: addNode 的 options },
+ *   links: [{ from, to, attenuation, delay, symmetric }],
+ *   interference: [{ start, duration, frequency, level }],
+ *   steps: [{ at（秒）, node, action(node, simulator) }],   action 中可用 simulator.waitFor 等待状态
+ *   expect: [断言]
+ * }
+ * 断言:
+ *   { node, detects: 节点名 }           该节点的 onUserDetected 收到过对方
+ *   { node, receives: { 字段: 值 } }    onMessageReceived 收到过字段匹配的消息，from 字段写节点名
+ *   可选 count（匹配的消息或发现次数须恰好为此值，0 表示没有收到）和 before（须在此时刻之前，秒）
+ *   也可以是函数 (simulator) => boolean，抛出异常或返回 false 即为失败
+ */
+class ScenarioRunner {
+    // options.verbose: 为假时运行期间屏蔽各节点的 console.log / info / warn 输出
+    constructor(options = {}) {
+        this.verbose = options.verbose || false;
+    }
+
+    // 运行一个场景，返回 { name, passed, failures, duration, stats, nodes }
+    async run(scenario) {
+        const failures = [];
+        const started = Date.now(); // 实际耗时，模拟器创建后 Date.now 为虚拟时间
+        const console_ = { log: console.log, info: console.info, warn: console.warn };
+        if (!this.verbose) {
+            console.log = console.info = console.warn = () => {};
+        }
+
+        const simulator = new AcousticSimulator({ ...scenario.channel, seed: scenario.seed ?? 1 });
+        let nodes = {};
+
+        try {
+            for (const [name, options] of Object.entries(scenario.nodes || {})) {
+                await simulator.addNode(name, options);
+            }
+            for (const link of scenario.links || []) {
+                const { from, to, symmetric, ...params } = link;
+                simulator.setLink(from, to, params, symmetric ?? true);
+            }
+            for (const interference of scenario.interference || []) {
+                simulator.addInterference(interference);
+            }
+            for (const step of scenario.steps || []) {
+                simulator.schedule(step.at, () => step.action(step.node ? simulator.getNode(step.node) : null, simulator))
+                    .catch(error => failures.push(`${step.at}s ${step.node || ''} 操作出错: ${error.message}`));
+            }
+
+            await simulator.run(scenario.duration);
+
+            for (const expectation of scenario.expect || []) {
+                const failure = this.check(expectation, simulator);
+                if (failure) failures.push(failure);
+            }
+
+            nodes = this.summarize(simulator);
+        } catch (error) {
+            failures.push(`场景出错: ${error.message}`);
+        } finally {
+            await simulator.destroy();
+            Object.assign(console, console_);
+        }
+
+        return {
+            name: scenario.name,
+            passed: failures.length === 0,
+            failures: failures,
+            duration: (Date.now() - started) / 1000,
+            stats: { ...simulator.channel.stats },
+            nodes: nodes
+        };
+    }
+
+    async runAll(scenarios) {
+        const results = [];
+        for (const scenario of scenarios) {
+            results.push(await this.run(scenario));
+        }
+        return results;
+    }
+
+    // 检查一条断言，通过时返回 null，否则返回失败说明
+    check(expectation, simulator) {
+        if (typeof expectation === 'function') {
+            try {
+                return expectation(simulator) === false ? `断言失败: ${expectation.name || expectation.toString()}` : null;
+            } catch (error) {
+                return `断言失败: ${error.message}`;
+            }
+        }
+
+        const node = simulator.nodes.get(expectation.node);
+        if (!node) {
+            return `未知节点: ${expectation.node}`;
+        }
+        const before = expectation.before ?? Infinity;
+
+        let matches;
+        let description;
+        if (expectation.detects !== undefined) {
+            const target = simulator.nodes.get(expectation.detects);
+            if (!target) return `未知节点: ${expectation.detects}`;
+            matches = node.detections.filter(detection => detection.userId === target.comm.myUserId && detection.receivedAt < before);
+            description = `${expectation.node} 发现 ${expectation.detects}`;
+        } else if (expectation.receives !== undefined) {
+            matches = node.messages.filter(message => message.receivedAt < before && this.matchMessage(message, expectation.receives, simulator));
+            description = `${expectation.node} 收到 ${JSON.stringify(expectation.receives)}`;
+        } else {
+            return `无效的断言: ${JSON.stringify(expectation)}`;
+        }
+
+        if (expectation.before !== undefined) {
+            description += ` (${expectation.before}s 之前)`;
+        }
+
+        if (expectation.count !== undefined) {
+            return matches.length === expectation.count ? null : `${description}: 期望 ${expectation.count} 次，实际 ${matches.length} 次`;
+        }
+        return matches.length > 0 ? null : `${description}: 未收到`;
+    }
+
+    matchMessage(message, pattern, simulator) {
+        return Object.entries(pattern).every(([key, value]) => {
+            if (key === 'from') {
+                const sender = simulator.nodes.get(value);
+                return sender !== undefined && message.fromUserId === sender.comm.myUserId;
+            }
+            return message[key] === value;
+        });
+    }
+
+    // 各节点收到的消息和发现的用户（用节点名代替用户ID）
+    summarize(simulator) {
+        const names = new Map([...simulator.nodes.values()].map(node => [node.comm.myUserId, node.name]));
+        const summary = {};
+
+        for (const node of simulator.nodes.values()) {
+            summary[node.name] = {
+                messages: node.messages.map(message => ({
+                    at: Number(message.receivedAt.toFixed(2)),
+                    from: names.get(message.fromUserId) || message.fromUserId || null,
+                    type: message.type,
+                    content: message.content
+                })),
+                detected: [...new Set(node.detections.map(detection => names.get(detection.userId) || detection.userId))]
+            };
+        }
+
+        return summary;
+    }
+}
+
+// 导出：Node中为CommonJS模块
+module.exports = { VirtualClock, SimulatedAudioContext, SimulatedWorkletNode, AcousticChannel, AcousticSimulator, ScenarioRunner };
+
+// 命令行：依次运行场景文件（导出一个场景或场景数组），有失败时退出码为1
+if (require.main === module) {
+    (async () => {
+        const path = require('path');
+        const files = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+        if (files.length === 0) {
+            console.error('用法: node simulator.js [--verbose] <场景文件>...');
+            process.exit(2);
+        }
+
+        const runner = new ScenarioRunner({ verbose: process.argv.includes('--verbose') });
+        let failed = 0;
+
+        for (const file of files) {
+            const exported = require(path.resolve(file));
+            for (const result of await runner.runAll([].concat(exported))) {
+                console.log(`${result.passed ? '✓' : '✗'} ${result.name} (${result.duration.toFixed(1)}s, ${result.stats.transmissions} 次发送, ${result.stats.overlaps} 次重叠)`);
+                for (const failure of result.failures) {
+                    console.log(`    ${failure}`);
+                }
+                if (!result.passed) failed++;
+            }
+        }
+
+        process.exit(failed > 0 ? 1 : 0);
+    })();
+}
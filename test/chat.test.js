@@ -0,0 +1,214 @@
+// 聊天层的拒绝路径：签名被篡改或冒充他人的帧丢弃；房间密钥只接受有权分发的成员发来的，代数不能倒退或跳得太远；私密房间不接受明文消息；频段协商帧须签名
+// 各节点的超声波模块换成只记录发出帧的替身，帧经线路格式编码、解码后交给对方处理
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WireFormat } = require('../wire.js');
+const { IdentityStore } = require('../identity.js');
+const { ChatManager } = require('../chat.js');
+const { UltrasonicComm } = require('../ultrasonic.js');
+
+// 屏蔽 ChatManager 的日志和拒绝时的警告
+console.log = () => {};
+console.warn = () => {};
+
+async function createPeer(name) {
+    const identity = new IdentityStore();
+    await identity.load();
+    const sent = [];
+    const wire = new WireFormat();
+    UltrasonicComm.prototype.registerMessageTypes.call({ wire }); // 频段协商帧
+    const comm = {
+        identity: identity,
+        myUserId: identity.userId,
+        wire: wire,
+        storage: null,
+        controlChannel: 0,
+        getUsername: () => name,
+        getChannelCount: () => 3,
+        setRoomChannel: () => {},
+        estimateAirtime: () => 1,
+        getPresenceTimeout: () => 30000,
+        transmitData: async frame => {
+            sent.push(frame);
+            return true;
+        }
+    };
+    const chat = new ChatManager(comm);
+    await chat.cryptoReady;
+    return { name, chat, sent, userId: identity.userId };
+}
+
+// 取出 peer 发出的第一个 type 帧；密钥轮换等在后台进行，稍等片刻
+async function takeFrame(peer, type) {
+    for (let i = 0; i < 500; i++) {
+        const index = peer.sent.findIndex(frame => frame.type === type);
+        if (index >= 0) return peer.sent.splice(index, 1)[0];
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`${peer.name} 没有发出 ${type}`);
+}
+
+// 帧经线路格式传给 peer，处理完后返回
+function deliver(frame, peer) {
+    return peer.chat.handleIncomingData(peer.chat.wire.decode(peer.chat.wire.encode(frame)));
+}
+
+// alice 创建私密房间并邀请 bob，bob 加入后收到 alice 轮换出的第2代密钥
+async function createPrivateRoom() {
+    const alice = await createPeer('alice');
+    const bob = await createPeer('bob');
+    const room = await alice.chat.createOrJoinRoom(null, true);
+
+    let invite = null;
+    bob.chat.onInviteReceived = data => { invite = data; };
+    await alice.chat.inviteUser(bob.userId);
+    await deliver(await takeFrame(alice, 'invite'), bob);
+    await bob.chat.acceptInvite(invite);
+    const join = await takeFrame(bob, 'join_room');
+    await deliver(join, alice);
+    await deliver(await takeFrame(alice, 'private_key'), bob);
+
+    const bobRoom = bob.chat.rooms.get(room.id);
+    assert.equal(bobRoom.keyId, room.keyId);
+    assert.equal(bobRoom.keyEpoch, 2);
+    return { alice, bob, room, bobRoom, join };
+}
+
+// from 以自己的房间副本（第 epoch 代新密钥）向 to 发送房间密钥，返回发出的帧
+async function sendKey(from, roomId, epoch, to, publicKey) {
+    from.chat.rememberPeerKey(to.userId, publicKey);
+    const room = from.chat.rooms.get(roomId) || await from.chat.createOrJoinRoom(roomId, true);
+    room.keyEpoch = epoch - 1;
+    await from.chat.createRoomKey(room);
+    await from.chat.sendRoomKey(room, to.userId);
+    return takeFrame(from, 'private_key');
+}
+
+test('不是房间成员的用户发来的密钥即使签名有效也不接受', async () => {
+    const { bob, room, bobRoom, join } = await createPrivateRoom();
+    const mallory = await createPeer('mallory');
+
+    // mallory 从 bob 的加入通知中得到 bob 的公钥，自己签名发来第999代密钥
+    const frame = await sendKey(mallory, room.id, 999, bob, join.publicKey);
+    await deliver(frame, bob);
+
+    assert.equal(bobRoom.keyId, room.keyId);
+    assert.equal(bobRoom.keyEpoch, 2);
+    assert.equal(bobRoom.keys.has(frame.keyId), false);
+    assert.equal(bob.sent.some(sent => sent.type === 'ack'), false);
+});
+
+test('已有密钥时不接受无权轮换的成员发来的密钥', async () => {
+    const { alice, bob, room, bobRoom } = await createPrivateRoom();
+    const carol = await createPeer('carol');
+
+    // carol 经 alice 邀请加入，bob 听到邀请和加入通知后把她当作成员
+    let invite = null;
+    carol.chat.onInviteReceived = data => { invite = data; };
+    await alice.chat.inviteUser(carol.userId);
+    const inviteFrame = await takeFrame(alice, 'invite');
+    await deliver(inviteFrame, bob);
+    await deliver(inviteFrame, carol);
+    await carol.chat.acceptInvite(invite);
+    const join = await takeFrame(carol, 'join_room');
+    await deliver(join, bob);
+    assert.ok(bobRoom.members.has(carol.userId));
+
+    // 轮换由邀请人 alice 负责，carol 自行发来的新一代密钥不接受
+    const frame = await sendKey(carol, room.id, 3, bob, alice.chat.peerKeys.get(bob.userId).publicKey);
+    await deliver(frame, bob);
+    assert.equal(bobRoom.keyId, room.keyId);
+    assert.equal(bobRoom.keys.has(frame.keyId), false);
+});
+
+test('代数比当前的大太多的密钥不接受，较旧的密钥只保留用于解密', async () => {
+    const { alice, bob, room, bobRoom, join } = await createPrivateRoom();
+    const current = room.keyId;
+
+    const far = await sendKey(alice, room.id, 2 + bob.chat.maxEpochGap + 1, bob, join.publicKey);
+    await deliver(far, bob);
+    assert.equal(bobRoom.keyId, current);
+    assert.equal(bobRoom.keys.has(far.keyId), false);
+
+    const stale = await sendKey(alice, room.id, 1, bob, join.publicKey);
+    await deliver(stale, bob);
+    assert.equal(bobRoom.keyId, current);
+    assert.equal(bobRoom.keyEpoch, 2);
+    assert.ok(bobRoom.keys.has(stale.keyId));
+
+    const next = await sendKey(alice, room.id, 3, bob, join.publicKey);
+    await deliver(next, bob);
+    assert.equal(bobRoom.keyId, next.keyId);
+    assert.equal(bobRoom.keyEpoch, 3);
+});
+
+test('私密房间丢弃未加密的聊天消息，成员的加密消息照常解密', async () => {
+    const { alice, bob, room } = await createPrivateRoom();
+    const mallory = await createPeer('mallory');
+    const received = [];
+    bob.chat.onMessageReceived = message => received.push(message);
+
+    // mallory 不知道房间密钥，只能发明文
+    await mallory.chat.createOrJoinRoom(room.id);
+    await mallory.chat.sendMessage('我是房间成员');
+    await deliver(await takeFrame(mallory, 'chat'), bob);
+    assert.equal(received.length, 0);
+
+    await alice.chat.sendMessage('只有成员能看到');
+    await deliver(await takeFrame(alice, 'chat'), bob);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].content, '只有成员能看到');
+    assert.equal(received[0].isEncrypted, true);
+    assert.equal(received[0].nonMember, false);
+});
+
+test('签名后被改动的聊天消息丢弃', async () => {
+    const { alice, bob } = await createPrivateRoom();
+    const received = [];
+    bob.chat.onMessageReceived = message => received.push(message);
+
+    await alice.chat.sendMessage('原文');
+    const frame = await takeFrame(alice, 'chat');
+    await deliver({ ...frame, timestamp: frame.timestamp + 1 }, bob);
+    assert.equal(received.length, 0);
+
+    await deliver(frame, bob);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].signed, true);
+});
+
+test('用别人的签名密钥冒充成员发出的离开通知丢弃', async () => {
+    const { alice, bob, room, bobRoom } = await createPrivateRoom();
+    const mallory = await createPeer('mallory');
+    const leave = { type: 'leave_room', userId: alice.userId, username: 'alice', roomId: room.id, timestamp: Date.now() };
+
+    // bob 已从邀请帧记下 alice 的签名公钥，mallory 的签名和不带签名的都验证不过
+    await deliver(await mallory.chat.signFrame(leave), bob);
+    await deliver(leave, bob);
+    assert.ok(bobRoom.members.has(alice.userId));
+
+    await deliver(await alice.chat.signFrame(leave), bob);
+    assert.equal(bobRoom.members.has(alice.userId), false);
+});
+
+test('频段协商帧须由声称的发送方签名，重放和过期的丢弃', async () => {
+    const alice = await createPeer('alice');
+    const bob = await createPeer('bob');
+    const mallory = await createPeer('mallory');
+
+    // bob 一侧的 UltrasonicComm 只用到协商帧的验证
+    const comm = Object.create(UltrasonicComm.prototype);
+    Object.assign(comm, { frameSigner: bob.chat, bandPolicy: { maxSwitchAge: 600000 }, handledBandSwitches: new Map() });
+    const verify = frame => comm.verifyBandSwitch(bob.chat.wire.decode(bob.chat.wire.encode(frame)));
+    const request = (switchId, fromUserId, timestamp = Date.now()) => ({
+        type: 'band_switch', switchId, fromUserId, toUserId: bob.userId, mode: 'low', accept: false, timestamp
+    });
+
+    assert.equal(await verify(request('00000001', alice.userId)), false);
+    assert.equal(await verify(await mallory.chat.signFrame(request('00000002', alice.userId))), false);
+    assert.equal(await verify(await alice.chat.signFrame(request('00000003', alice.userId, Date.now() - 700000))), false);
+
+    const signed = await alice.chat.signFrame(request('00000004', alice.userId));
+    assert.equal(await verify(signed), true);
+    assert.equal(await verify(signed), false);
+});
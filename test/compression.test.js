@@ -0,0 +1,37 @@
+// 载荷压缩：各种输入压缩后都能还原，并选择最短的压缩方式
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PayloadCompressor } = require('../compression.js');
+
+const encoder = new TextEncoder();
+
+test('压缩后解压还原原始字节', async () => {
+    const compressor = new PayloadCompressor();
+    const random = Uint8Array.from({ length: 200 }, (_, i) => (i * 7919 + 13) % 251);
+
+    for (const input of [
+        new Uint8Array(0),
+        encoder.encode('hello'),
+        encoder.encode('你好，我们今天一起吃饭吧？好的，谢谢！'),
+        encoder.encode('哈哈'.repeat(60)),
+        Uint8Array.of(0xFF, 0xFE, 0x00, 0xFF),
+        random
+    ]) {
+        const compressed = await compressor.compress(input);
+        assert.ok(compressed.length <= input.length + 1, '压缩结果不应长于原文加一个方式字节');
+        assert.deepEqual(await compressor.decompress(compressed), input);
+    }
+});
+
+test('常用中文短句使用字典编码', async () => {
+    const compressor = new PayloadCompressor();
+    const input = encoder.encode('你好');
+    const compressed = await compressor.compress(input);
+
+    assert.equal(compressed[0], compressor.methods.dictionary);
+    assert.equal(compressed.length, 3);
+});
+
+test('未知的压缩方式抛出异常', async () => {
+    await assert.rejects(new PayloadCompressor().decompress(Uint8Array.of(9, 1, 2)), /未知的压缩方式/);
+});
@@ -0,0 +1,60 @@
+// 前向纠错：Reed-Solomon码字的纠错能力和分块交织
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReedSolomon, FECCodec } = require('../fec.js');
+
+const bytes = (length, seed = 1) => Uint8Array.from({ length }, (_, i) => (i * 37 + seed * 11) & 0xFF);
+
+test('RS码字无错时原样解出', () => {
+    const rs = new ReedSolomon();
+    const data = bytes(32);
+    const codeword = rs.encode(data, 8);
+    assert.equal(codeword.length, 40);
+    assert.deepEqual(codeword.subarray(0, 32), data);
+
+    const result = rs.decode(codeword, 8);
+    assert.deepEqual(result.data, data);
+    assert.equal(result.corrected, 0);
+});
+
+test('RS码字可纠正不超过校验字节数一半的错误', () => {
+    const rs = new ReedSolomon();
+    const data = bytes(32, 2);
+    const codeword = rs.encode(data, 8);
+    for (const position of [0, 9, 21, 39]) {
+        codeword[position] ^= 0x5A;
+    }
+
+    const result = rs.decode(codeword, 8);
+    assert.deepEqual(result.data, data);
+    assert.equal(result.corrected, 4);
+});
+
+test('RS码字错误过多时返回 null', () => {
+    const rs = new ReedSolomon();
+    const codeword = rs.encode(bytes(16, 3), 4);
+    for (const position of [1, 5, 9]) {
+        codeword[position] ^= 0xFF;
+    }
+    assert.equal(rs.decode(codeword, 4), null);
+});
+
+test('码字长度超过255时抛出异常', () => {
+    assert.throws(() => new ReedSolomon().encode(bytes(250), 8), /RS码字过长/);
+});
+
+test('分块编码交织后集中的突发错误被分散到各码字中纠正', () => {
+    const fec = new FECCodec();
+    const data = bytes(100, 4);
+    const encoded = fec.encode(data, 32, 8);
+    assert.equal(encoded.length, fec.encodedLength(100, 32, 8));
+
+    // 连续12个字节出错：交织后每个码字只分到3个，不超过每个码字的纠错能力
+    for (let i = 40; i < 52; i++) {
+        encoded[i] ^= 0x81;
+    }
+
+    const result = fec.decode(encoded, 100, 32, 8);
+    assert.deepEqual(result.data, data);
+    assert.equal(result.correctedBits, 24);
+});
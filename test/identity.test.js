@@ -0,0 +1,38 @@
+// 身份备份：用口令加密导出的私钥只能用同一口令导入，文件被改动时拒绝
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IdentityStore } = require('../identity.js');
+
+// 测试中用允许的最少迭代次数，免得每次派生都要数秒
+async function createStore() {
+    const store = new IdentityStore();
+    store.backupIterations = 100000;
+    await store.load();
+    return store;
+}
+
+test('用同一口令导入备份后恢复原来的用户ID', async () => {
+    const original = await createStore();
+    const backup = await original.exportBackup('正确的口令');
+
+    const restored = await createStore();
+    assert.notEqual(restored.userId, original.userId);
+    assert.equal(await restored.importBackup(backup, '正确的口令'), original.userId);
+    assert.equal(restored.userId, original.userId);
+});
+
+test('口令错误或密文被改动时拒绝导入，当前身份不变', async () => {
+    const original = await createStore();
+    const backup = await original.exportBackup('正确的口令');
+    const store = await createStore();
+    const userId = store.userId;
+
+    await assert.rejects(store.importBackup(backup, '错误的口令'), { message: '口令错误或备份文件已损坏' });
+
+    const tampered = JSON.parse(backup);
+    tampered.privateKey = (tampered.privateKey[0] === '0' ? '1' : '0') + tampered.privateKey.slice(1);
+    await assert.rejects(store.importBackup(JSON.stringify(tampered), '正确的口令'), { message: '口令错误或备份文件已损坏' });
+
+    await assert.rejects(store.importBackup('{}', '正确的口令'), { message: '不是有效的身份备份文件' });
+    assert.equal(store.userId, userId);
+});
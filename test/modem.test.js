@@ -0,0 +1,125 @@
+// 调制解调核心：合成的帧经过与实时接收相同的解调和组帧流程（decodeSamples）后还原
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ModemCore } = require('../modem.js');
+
+// 组帧和解调的调试日志较多，测试中屏蔽
+console.log = console.warn = () => {};
+
+const payload = (length, seed = 1) => Uint8Array.from({ length }, (_, i) => (i * 29 + seed * 71) & 0xFF);
+
+// 合成一帧，首尾各留0.3秒静音
+function renderFrame(modem, bytes, mode, channel, profile, volume = 0.5) {
+    const symbols = modem.createSymbolStream(modem.encodePacket(bytes, mode), mode, channel, profile);
+    const frame = modem.renderSymbols(symbols, mode, profile, volume);
+    const gap = Math.round(modem.sampleRate * 0.3);
+    const samples = new Float32Array(frame.length + gap * 2);
+    samples.set(frame, gap);
+    return samples;
+}
+
+// 可重复的均匀噪声
+function addNoise(samples, level, seed = 1) {
+    let state = seed;
+    for (let i = 0; i < samples.length; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        samples[i] += (state / 2147483648 * 2 - 1) * level;
+    }
+    return samples;
+}
+
+function mix(...signals) {
+    const out = new Float32Array(Math.max(...signals.map(signal => signal.length)));
+    for (const signal of signals) {
+        for (let i = 0; i < signal.length; i++) {
+            out[i] += signal[i];
+        }
+    }
+    return out;
+}
+
+for (const profile of ['fsk2', 'fsk4']) {
+    test(`高频段 ${profile} 在每个信道上都能解出原始载荷`, () => {
+        const modem = new ModemCore();
+        const bytes = payload(24);
+
+        for (let channel = 0; channel < modem.getChannelCount('high'); channel++) {
+            const samples = renderFrame(modem, bytes, 'high', channel, profile);
+            const { packets } = modem.decodeSamples(samples, modem.sampleRate, { modes: ['high'], channels: [channel] });
+
+            assert.equal(packets.length, 1, `信道 ${channel}`);
+            assert.deepEqual(packets[0].payload, bytes);
+            assert.equal(packets[0].mode, 'high');
+            assert.equal(packets[0].channel, channel);
+            assert.equal(packets[0].profile, profile);
+            assert.equal(packets[0].correctedBits, 0);
+        }
+    });
+}
+
+test('不同信道上同时发送的帧各自解出，不会在其他信道上被解出', () => {
+    const modem = new ModemCore();
+    const first = payload(16, 1);
+    const second = payload(16, 2);
+    const samples = mix(renderFrame(modem, first, 'high', 0, 'fsk4'), renderFrame(modem, second, 'high', 2, 'fsk2'));
+
+    const { packets } = modem.decodeSamples(samples, modem.sampleRate, { modes: ['high'] });
+    assert.equal(packets.length, 2);
+    assert.deepEqual(packets.find(packet => packet.channel === 0).payload, first);
+    assert.deepEqual(packets.find(packet => packet.channel === 2).payload, second);
+});
+
+test('44.1 kHz（符号周期不是整数个样本）加噪声时仍能解出', () => {
+    const modem = new ModemCore({ sampleRate: 44100 });
+    const bytes = payload(40, 3);
+    const samples = addNoise(renderFrame(modem, bytes, 'high', 0, 'fsk4', 0.2), 0.05);
+
+    const { sampleRate, packets } = modem.decodeSamples(samples, 44100, { modes: ['high'], channels: [0] });
+    assert.equal(sampleRate, 44100);
+    assert.equal(packets.length, 1);
+    assert.deepEqual(packets[0].payload, bytes);
+});
+
+test('低频段的帧在低频段上解出', () => {
+    const modem = new ModemCore();
+    const bytes = payload(8, 4);
+    const samples = renderFrame(modem, bytes, 'low', 0, 'fsk4');
+
+    const { packets } = modem.decodeSamples(samples, modem.sampleRate, { modes: ['low', 'high'], channels: [0] });
+    assert.equal(packets.length, 1);
+    assert.equal(packets[0].mode, 'low');
+    assert.deepEqual(packets[0].payload, bytes);
+});
+
+test('静音和噪声中没有数据包', () => {
+    const modem = new ModemCore();
+    const samples = addNoise(new Float32Array(modem.sampleRate * 3), 0.01);
+    assert.deepEqual(modem.decodeSamples(samples).packets, []);
+});
+
+test('分片在接收端按序拼接还原', () => {
+    const modem = new ModemCore();
+    const bytes = payload(300, 5);
+    const fragments = modem.createFragments(bytes);
+    assert.equal(fragments.length, 3);
+
+    const headers = fragments.map(fragment => modem.parseFragmentHeader(fragment));
+    assert.ok(headers.every(header => header.messageId === headers[0].messageId && header.total === 3));
+    assert.deepEqual(headers.map(header => header.index), [0, 1, 2]);
+    assert.deepEqual(modem.joinFragments(fragments.map(fragment => fragment.subarray(modem.fragmentHeaderLength))), bytes);
+});
+
+test('每种调制方式在每个信道上都可用，帧头中只有编号0和1对应调制方式', () => {
+    const modem = new ModemCore();
+    for (const mode of ['high', 'low']) {
+        for (let channel = 0; channel < modem.getChannelCount(mode); channel++) {
+            for (const name of Object.keys(modem.config[mode].profiles)) {
+                assert.ok(modem.getProfile(name, mode, channel), `${mode} 信道${channel} ${name}`);
+            }
+        }
+    }
+    assert.equal(modem.getProfileById(0, 'high').name, 'fsk2');
+    assert.equal(modem.getProfileById(1, 'high').name, 'fsk4');
+    assert.equal(modem.getProfileById(2, 'high'), null);
+    assert.equal(modem.getProfileById(3, 'high'), null);
+});
@@ -0,0 +1,80 @@
+// 离线WAV编解码：WAV文件的读写，渲染后解码的往返，以及一段保存下来的录音样本
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { WavCodec } = require('../wav.js');
+const { ModemTool } = require('../modem-cli.js');
+
+// 收发流程的调试日志较多，测试中屏蔽
+console.log = console.info = console.warn = () => {};
+
+test('16位PCM和32位浮点WAV写入后读回', () => {
+    const wav = new WavCodec();
+    const samples = Float32Array.from({ length: 1000 }, (_, i) => Math.sin(i / 10) * 0.8);
+
+    for (const bits of [16, 32]) {
+        const decoded = wav.decode(wav.encode(samples, 44100, bits));
+        assert.equal(decoded.sampleRate, 44100);
+        assert.equal(decoded.bitsPerSample, bits);
+        assert.equal(decoded.samples.length, samples.length);
+        const tolerance = bits === 16 ? 2 / 0x7FFF : 1e-7;
+        assert.ok(samples.every((sample, i) => Math.abs(decoded.samples[i] - sample) <= tolerance), `${bits}位`);
+    }
+});
+
+test('不是WAV文件或位深不支持时抛出异常', () => {
+    const wav = new WavCodec();
+    assert.throws(() => wav.decode(new TextEncoder().encode('not a wav file')), /不是WAV文件/);
+    assert.throws(() => wav.encode(new Float32Array(10), 48000, 8), /不支持的位深/);
+});
+
+test('多个分片的消息渲染为WAV后解码重组', async () => {
+    const tool = new ModemTool();
+    await tool.init();
+    // 不易压缩的文本，压缩后仍超过一个分片
+    const content = Array.from({ length: 70 }, (_, i) => String.fromCharCode(0x4E00 + (i * 7919) % 2000)).join('');
+    const message = tool.createChatMessage(content);
+
+    const encoded = await tool.encode(message, { channel: 1, profile: 'fsk4' });
+    assert.ok(encoded.fragments > 1);
+
+    const result = await tool.decode(encoded.bytes, { modes: ['high'], channels: [1] });
+    assert.equal(result.packets.length, encoded.fragments);
+    assert.ok(result.packets.every(packet => !packet.failed && packet.channel === 1));
+    assert.equal(result.messages.length, 1);
+    assert.equal(result.messages[0].data.content, content);
+    assert.equal(result.messages[0].data.messageId, message.messageId);
+});
+
+// 样本：modem-cli.js 以 44.1 kHz 渲染的一条聊天消息，经过衰减（-12 dB）、白噪声和发送端+80 ppm的时钟偏差后
+// 保存为8位PCM，接近手机录下的信号；解调或组帧的改动使它解不出来时说明接收灵敏度变差了
+test('录音样本解出其中的聊天消息', async () => {
+    const tool = new ModemTool();
+    await tool.init();
+    const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', 'chat-high-fsk4-44k-u8.wav')));
+
+    const result = await tool.decode(bytes);
+    assert.equal(result.sampleRate, 44100);
+    assert.equal(result.packets.length, 1);
+
+    const [packet] = result.packets;
+    assert.equal(packet.mode, 'high');
+    assert.equal(packet.channel, 0);
+    assert.equal(packet.profile, 'fsk4');
+    assert.ok(Math.abs(packet.clockDrift - 80) < 40, `时钟偏差 ${packet.clockDrift} ppm`);
+
+    assert.equal(result.messages.length, 1);
+    assert.deepEqual(result.messages[0].data, {
+        type: 'chat',
+        messageId: 'de4f568b',
+        roomId: 'e900a939',
+        fromUserId: 'aba784101b7f32c3',
+        fromUsername: '测试',
+        content: '你好，超声波',
+        messageType: 'text',
+        isEncrypted: false,
+        ackRequested: false,
+        timestamp: 1792342622175
+    });
+});
@@ -0,0 +1,83 @@
+// 线路格式：按模式编码的字段、JSON退回和解码校验
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WireFormat } = require('../wire.js');
+
+function createWire() {
+    const wire = new WireFormat();
+    wire.registerType('sample', 42, [
+        ['messageId', 'id'],
+        ['userId', 'uid'],
+        ['name', 'string'],
+        ['urgent', 'bool'],
+        ['timestamp', 'varint'],
+        ['payload', 'bytes']
+    ]);
+    return wire;
+}
+
+test('注册的类型按模式编码并还原为相同的对象', () => {
+    const wire = createWire();
+    const data = {
+        type: 'sample',
+        messageId: '0a1b2c3d',
+        userId: '0123456789abcdef',
+        name: '你好',
+        urgent: true,
+        timestamp: 1792342060930, // 超过32位
+        payload: Uint8Array.of(0, 1, 255)
+    };
+
+    const bytes = wire.encode(data);
+    assert.equal(bytes[0], wire.version);
+    assert.equal(bytes[1], 42);
+    assert.deepEqual(wire.decode(bytes), data);
+});
+
+test('缺省的字段不占字节，布尔字段只占存在位图中的一位', () => {
+    const wire = createWire();
+    const bytes = wire.encode({ type: 'sample', messageId: '0a1b2c3d', urgent: false });
+    assert.equal(bytes.length, 2 + 1 + wire.idLength);
+    assert.deepEqual(wire.decode(bytes), { type: 'sample', messageId: '0a1b2c3d', urgent: false });
+});
+
+test('用户ID为8字节，4字节的用户ID不符合模式', () => {
+    const wire = createWire();
+    assert.equal(wire.encode({ type: 'sample', userId: '0123456789abcdef' }).length, 2 + 1 + wire.userIdLength);
+    assert.equal(wire.encode({ type: 'sample', userId: '01234567' })[1], wire.jsonTypeCode);
+});
+
+test('未注册的类型和不符合模式的对象退回JSON', () => {
+    const wire = createWire();
+    for (const data of [
+        { type: 'unknown', value: 1 },
+        { type: 'sample', messageId: 'not-hex' },
+        { type: 'sample', extra: true }
+    ]) {
+        const bytes = wire.encode(data);
+        assert.equal(bytes[1], wire.jsonTypeCode);
+        assert.deepEqual(wire.decode(bytes), data);
+    }
+});
+
+test('兼容旧版的JSON帧', () => {
+    const wire = createWire();
+    const bytes = new TextEncoder().encode('{"type":"heartbeat","userId":"abc"}');
+    assert.deepEqual(wire.decode(bytes), { type: 'heartbeat', userId: 'abc' });
+});
+
+test('版本、类型或长度不符的帧抛出异常', () => {
+    const wire = createWire();
+    const bytes = wire.encode({ type: 'sample', name: 'abc' });
+
+    assert.throws(() => wire.decode(Uint8Array.of(9, ...bytes.subarray(1))), /不支持的线路格式版本/);
+    assert.throws(() => wire.decode(Uint8Array.of(wire.version, 99, 0)), /未知的消息类型编码/);
+    assert.throws(() => wire.decode(Uint8Array.of(...bytes, 0)), /消息长度与模式不符/);
+    assert.throws(() => wire.decode(bytes.subarray(0, bytes.length - 1)), /消息被截断/);
+});
+
+test('类型编码冲突时拒绝注册', () => {
+    const wire = createWire();
+    assert.throws(() => wire.registerType('other', 42, []), /类型编码冲突/);
+    assert.throws(() => wire.registerType('json', wire.jsonTypeCode, []), /无效的类型编码/);
+});
@@ -0,0 +1,78 @@
+/**
+ * 超声波接收 AudioWorklet 处理器
+ * 解调器来自 modem.js，需先载入同一个AudioWorklet
+ */
+
+class UltrasonicProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.demodulators = new Map();
+        this.recording = null; // 录制原始样本时累积的块 { samples, length }
+
+        // 每个（频段, 信道）一个解调器，事件中带上频段名和信道号
+        // 重新配置时保留未变化的解调器，正在接收的帧不受影响
+        // sampleRate 为AudioWorkletGlobalScope提供的实际采样率
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'config') {
+                const demodulators = new Map();
+                for (const link of e.data.links) {
+                    const key = `${link.mode}:${link.channel}`;
+                    let demodulator = this.demodulators.get(key);
+                    if (!demodulator) {
+                        demodulator = new SymbolDemodulator({
+                            sampleRate: sampleRate,
+                            tones: link.tones,
+                            otherTones: link.otherTones,
+                            symbolRate: link.symbolRate,
+                            onEvent: (event) => this.port.postMessage({ ...event, mode: link.mode, channel: link.channel })
+                        });
+                        demodulator.setGate(e.data.gated);
+                    }
+                    demodulators.set(key, demodulator);
+                }
+                this.demodulators = demodulators;
+            } else if (e.data.type === 'gate') {
+                for (const demodulator of this.demodulators.values()) {
+                    demodulator.setGate(e.data.active);
+                }
+            } else if (e.data.type === 'record') {
+                // 停止时丢弃未满的块
+                this.recording = e.data.active ? { samples: new Float32Array(e.data.chunkSize), length: 0 } : null;
+            }
+        };
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        if (input.length > 0) {
+            for (const demodulator of this.demodulators.values()) {
+                demodulator.process(input[0]);
+            }
+            if (this.recording) {
+                this.record(input[0]);
+            }
+        }
+        return true;
+    }
+
+    // 原始样本攒满一块后转移给页面保存
+    record(block) {
+        const recording = this.recording;
+        let offset = 0;
+        while (offset < block.length) {
+            const count = Math.min(block.length - offset, recording.samples.length - recording.length);
+            recording.samples.set(block.subarray(offset, offset + count), recording.length);
+            recording.length += count;
+            offset += count;
+
+            if (recording.length === recording.samples.length) {
+                const samples = recording.samples;
+                this.port.postMessage({ type: 'samples', samples: samples }, [samples.buffer]);
+                recording.samples = new Float32Array(samples.length);
+                recording.length = 0;
+            }
+        }
+    }
+}
+
+registerProcessor('ultrasonic-processor', UltrasonicProcessor);
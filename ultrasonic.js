@@ -1,33 +1,49 @@
 /**
  * 超声波通信模块
- * 使用Web Audio API实现18-19kHz超声波数据传输
- * 支持2-FSK调制解调和错误检测
+ * 使用Web Audio API实现17-20kHz超声波数据传输
+ * 收发调度、信道接入、分片重组和频段协商；组帧与调制解调见 modem.js
+ * 消息使用二进制线路格式编码（见 wire.js），并按帧选择压缩方式（见 compression.js）
  */
 
+// Node中加载依赖；页面中由index.html按顺序引入
+if (typeof module !== 'undefined' && module.exports) {
+    require('./modem.js');
+    require('./wire.js');
+    require('./compression.js');
+    require('./wav.js');
+    require('./recorder.js');
+    require('./identity.js');
+}
+
 class UltrasonicComm {
-    constructor() {
+    // options.audio: 音频环境 { createContext, getUserMedia, createWorkletNode }，默认为浏览器的Web Audio API和麦克风
+    // options.storage: 保存用户名等设置的存储，默认为 localStorage
+    // 模拟器（见 simulator.js）通过这两项把实例接入模拟的声学信道
+    // options.recorder: 原始音频录制器，默认为保存在IndexedDB中的 CaptureRecorder
+    // options.identity: 签名身份密钥，默认为保存在IndexedDB中的 IdentityStore
+    constructor(options = {}) {
+        this.audio = options.audio || {
+            createContext: () => new (window.AudioContext || window.webkitAudioContext)(),
+            getUserMedia: (constraints) => navigator.mediaDevices.getUserMedia(constraints),
+            createWorkletNode: (context, name) => new AudioWorkletNode(context, name)
+        };
+        this.storage = options.storage || globalThis.localStorage;
+        this.identity = options.identity || new IdentityStore();
+        
         this.audioContext = null;
         this.isInitialized = false;
         this.isTransmitting = false;
         this.isReceiving = false;
         
-        // 频率配置
-        this.config = {
-            high: {
-                freq0: 18700, // 0比特频率
-                freq1: 19300, // 1比特频率
-                bitRate: 40   // 比特率 (bps)
-            },
-            low: {
-                freq0: 17500, // 低频模式
-                freq1: 18100,
-                bitRate: 10
-            }
-        };
+        // 调制解调核心：频段与信道规划、组帧、调制和解调，页面、AudioWorklet和Node中共用
+        this.modem = new ModemCore();
+        this.config = this.modem.config;
         
         this.currentMode = 'high';
+        this.currentProfile = 'fsk2';
+        this.controlChannel = this.modem.controlChannel;
+        this.roomChannel = null; // 加入聊天室后同时监听房间所在的信道
         this.volume = 0.8;
-        this.sampleRate = 48000;
         
         // 接收相关
         this.analyser = null;
@@ -35,36 +51,138 @@ class UltrasonicComm {
         this.dataArray = null;
         this.receiverWorklet = null;
         
-        // 数据包格式
-        this.packetHeader = [1, 0, 1, 0, 1, 1, 0, 1]; // 同步头
-        this.maxPayloadLength = 256; // 最大载荷长度
+        // 原始音频录制与回放（调试用，默认关闭）
+        this.recorder = options.recorder || new CaptureRecorder();
+        this.captureEnabled = false;
+        this.replaySource = null;
+        
+        // 分片重组
+        // 分片头中的消息ID只有16位，各设备独立编号，按（频段, 信道, 消息ID）区分
+        this.reassemblyBuffer = new Map(); // "频段:信道:消息ID" -> 未完成的分片
+        // 迟到的重复分片只来自反射和多径，已完成的消息只保留重复过滤窗口的时长（短于任何一帧的发送时长），
+        // 之后另一台设备恰好使用相同消息ID的分片不会被当作重复丢弃
+        this.completedMessages = new Map(); // "频段:信道:消息ID" -> 保留截止时间
+        
+        // 发送队列与载波侦听
+        this.transmitQueue = [];
+        this.isQueueRunning = false;
+        this.queueSequence = 0;
+        this.priorities = {
+            chat: 0,
+            ack: 0,
+            invite: 1,
+            join_room: 1,
+            leave_room: 1,
+            room_update: 1,
+            private_key: 1,
+            band_switch: 1,
+            heartbeat: 2,
+            discovery: 2
+        };
+        // 心跳占用信道的时间比例上限：一条心跳在高频fsk2下要发送约10秒，固定间隔会让心跳占满信道
+        this.heartbeatDutyCycle = 0.2;
+        this.lastHeartbeat = 0;
+        this.heartbeatPending = false;
+        this.minContentionWindow = 8; // 初始竞争窗口（时隙数）
+        this.maxContentionWindow = 128;
+        this.maxBackoffAttempts = 8;
+        
+        // 链路质量：接收端测得的信噪比（dB）、噪声底和检测门限
+        this.status = null;
+        this.statusMessage = '';
+        this.linkQuality = { snr: null, noiseFloor: null, threshold: null };
+        
+        // 所有频段上的控制信道和房间信道同时接收：每个（频段, 信道）有独立的符号缓冲区、载波状态和链路质量
+        this.receivers = new Map(); // "频段:信道" -> 接收状态，见 getReceiver
+        this.peerBands = new Map(); // userId -> 最近一次收到该用户消息的频段，回复时使用
+        
+        // 自回声抑制：发送期间屏蔽接收，结束后再等待回声和混响消散
+        this.receiveGated = false;
+        this.gateReleaseTimer = null;
+        this.echoTail = 200; // 毫秒，不小于最长的符号周期
+        
+        // 重复消息过滤：同一内容在短时间内再次解码时丢弃（反射、多径）
+        this.recentMessages = new Map(); // 内容指纹 -> 解码时间
+        this.duplicateWindow = 2000;     // 毫秒，小于可靠传输的最短重传间隔
+        
+        // 自动频段切换：按用户统计最近的帧，链路变差时与对方协商降到低频，好转后再回到高频
+        this.autoBandSwitching = true;
+        this.linkStats = new Map(); // userId -> 最近的帧 [{ ok, snr }]
+        this.lastSenderId = null;   // 无法解码的帧记在最近一个发送方名下
+        this.bandSwitch = null;     // 进行中的协商
+        this.lastBandSwitch = 0;
+        this.bandPolicy = {
+            window: 8,              // 统计最近的帧数
+            minFrames: 4,           // 至少统计这么多帧才做判断
+            maxFailureRate: 0.3,    // 失败率超过此值降级
+            fallbackSnr: 12,        // 平均信噪比低于此值降级 (dB)
+            climbSnr: 24,           // 低频模式下全部成功且信噪比高于此值时升级 (dB)
+            holdTime: 60000,        // 两次切换的最小间隔
+            requestTimeout: 8000,   // 请求发出后等待对方同意的时间，另加同意帧的发送时长
+            confirmTimeout: 15000,  // 切换后在新频段上收不到对方消息则回退
+            maxSwitchAge: 600000    // 协商帧的时间戳与本机时间相差超过此值时丢弃（低频下一帧要发送几分钟）
+        };
+        
+        // 协商帧由发送方签名，附近的设备无法冒充对方把双方切到别的频段；签名和验证由 ChatManager 接入
+        // （frameSigner 为提供 signFrame / verifyFrame 的对象，见 chat.js），接入后无法验证签名的协商帧丢弃
+        // 处理过的协商帧按 switchId 记录到过期，重放的协商帧不会让双方来回切换
+        this.frameSigner = null;
+        this.handledBandSwitches = new Map(); // "switchId:同意" -> 过期时刻
         
         console.log('=== UltrasonicComm初始化 - 版本2024 ===');
-        console.log('maxPayloadLength:', this.maxPayloadLength);
+        console.log('maxPayloadLength:', this.modem.maxPayloadLength);
         console.log('=====================================');
         
         // 回调函数
         this.onDataReceived = null;
         this.onUserDetected = null;
         this.onStatusChange = null;
+        this.onModeChanged = null;
+        
+        // 二进制线路格式
+        this.wire = new WireFormat();
+        this.registerMessageTypes();
+        this.compressor = new PayloadCompressor();
+        this.wav = new WavCodec();
         
         // 已发现的用户
         this.discoveredUsers = new Map();
-        this.myUserId = this.generateUserId();
+        this.myUserId = null; // 由身份密钥派生，init() 中载入身份密钥后确定
         
         // 心跳和发现
         this.heartbeatInterval = null;
         this.discoveryInterval = null;
         
-        this.init();
+        this.ready = this.init();
+    }
+    
+    // 采样率保存在调制解调核心中，初始化后为音频上下文的实际采样率
+    get sampleRate() {
+        return this.modem.sampleRate;
+    }
+    
+    set sampleRate(sampleRate) {
+        this.modem.sampleRate = sampleRate;
     }
     
     async init() {
         try {
-            // 创建音频上下文
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: this.sampleRate
-            });
+            // 载入持久的身份密钥，用户ID由其公钥派生，每次启动保持不变
+            await this.identity.load();
+            this.myUserId = this.identity.userId;
+            
+            // 创建音频上下文，使用设备的原生采样率，避免浏览器重采样
+            this.audioContext = this.audio.createContext();
+            this.sampleRate = this.audioContext.sampleRate;
+            console.log('音频采样率:', this.sampleRate);
+            
+            const unsupported = Object.keys(this.config).filter(mode => !this.modem.isModeSupported(mode));
+            if (unsupported.length === Object.keys(this.config).length) {
+                throw new Error(`采样率过低: ${this.sampleRate} Hz`);
+            }
+            if (unsupported.includes(this.currentMode)) {
+                this.currentMode = Object.keys(this.config).find(mode => this.modem.isModeSupported(mode));
+            }
             
             // 加载AudioWorklet处理器
             if (this.audioContext.audioWorklet) {
@@ -81,96 +199,11 @@ class UltrasonicComm {
         }
     }
     
+    // 解调器与页面、Node共用 modem.js，先载入AudioWorklet的全局作用域，再载入处理器
     async loadAudioWorklet() {
-        // 创建AudioWorklet处理器代码
-        const workletCode = `
-        class UltrasonicProcessor extends AudioWorkletProcessor {
-            constructor() {
-                super();
-                this.bufferSize = 4096;
-                this.buffer = new Float32Array(this.bufferSize);
-                this.bufferIndex = 0;
-                this.threshold = 0.01;
-                this.freqs = [18700, 19300]; // 默认高频模式
-                this.sampleRate = 48000;
-                this.bitDuration = this.sampleRate / 40; // 40 bps
-                this.lastBitTime = 0;
-                
-                this.port.onmessage = (e) => {
-                    if (e.data.type === 'config') {
-                        this.freqs = [e.data.freq0, e.data.freq1];
-                        this.bitDuration = this.sampleRate / e.data.bitRate;
-                    }
-                };
-            }
-            
-            process(inputs, outputs, parameters) {
-                const input = inputs[0];
-                if (input.length > 0) {
-                    const channelData = input[0];
-                    
-                    // 将音频数据复制到缓冲区
-                    for (let i = 0; i < channelData.length; i++) {
-                        this.buffer[this.bufferIndex] = channelData[i];
-                        this.bufferIndex = (this.bufferIndex + 1) % this.bufferSize;
-                        
-                        // 每当缓冲区填满时进行频率检测
-                        if (this.bufferIndex === 0) {
-                            this.detectFrequency();
-                        }
-                    }
-                }
-                return true;
-            }
-            
-            detectFrequency() {
-                // 简化的Goertzel算法检测特定频率
-                const result0 = this.goertzel(this.freqs[0]);
-                const result1 = this.goertzel(this.freqs[1]);
-                
-                if (result0 > this.threshold || result1 > this.threshold) {
-                    const bit = result1 > result0 ? 1 : 0;
-                    const currentTime = currentFrame / this.sampleRate;
-                    
-                    // 防止重复检测
-                    if (currentTime - this.lastBitTime > this.bitDuration * 0.8) {
-                        this.port.postMessage({
-                            type: 'bit',
-                            bit: bit,
-                            strength: Math.max(result0, result1),
-                            timestamp: currentTime
-                        });
-                        this.lastBitTime = currentTime;
-                    }
-                }
-            }
-            
-            goertzel(frequency) {
-                const k = Math.round(this.bufferSize * frequency / this.sampleRate);
-                const w = 2 * Math.PI * k / this.bufferSize;
-                const cosw = Math.cos(w);
-                
-                let d1 = 0, d2 = 0;
-                
-                for (let i = 0; i < this.bufferSize; i++) {
-                    const y = this.buffer[i] + 2 * cosw * d1 - d2;
-                    d2 = d1;
-                    d1 = y;
-                }
-                
-                return Math.sqrt(d1 * d1 + d2 * d2 - 2 * cosw * d1 * d2) / this.bufferSize;
-            }
-        }
-        
-        registerProcessor('ultrasonic-processor', UltrasonicProcessor);
-        `;
-        
-        const blob = new Blob([workletCode], { type: 'application/javascript' });
-        const workletUrl = URL.createObjectURL(blob);
-        
         try {
-            await this.audioContext.audioWorklet.addModule(workletUrl);
-            URL.revokeObjectURL(workletUrl);
+            await this.audioContext.audioWorklet.addModule('modem.js');
+            await this.audioContext.audioWorklet.addModule('ultrasonic-worklet.js');
         } catch (error) {
             console.error('AudioWorklet加载失败:', error);
         }
@@ -181,7 +214,7 @@ class UltrasonicComm {
         
         try {
             // 请求麦克风权限
-            const stream = await navigator.mediaDevices.getUserMedia({
+            const stream = await this.audio.getUserMedia({
                 audio: {
                     sampleRate: this.sampleRate,
                     echoCancellation: false,
@@ -190,27 +223,38 @@ class UltrasonicComm {
                 }
             });
             
+            // 麦克风采样率与音频上下文不同时由浏览器重采样，解调始终按上下文采样率进行
+            const settings = stream.getAudioTracks()[0].getSettings();
+            if (settings.sampleRate && settings.sampleRate !== this.sampleRate) {
+                console.log('麦克风采样率:', settings.sampleRate, '音频上下文采样率:', this.sampleRate);
+            }
+            
             // 创建音频节点
             this.microphone = this.audioContext.createMediaStreamSource(stream);
             
             if (this.audioContext.audioWorklet) {
                 // 使用AudioWorklet
-                this.receiverWorklet = new AudioWorkletNode(this.audioContext, 'ultrasonic-processor');
+                this.receiverWorklet = this.audio.createWorkletNode(this.audioContext, 'ultrasonic-processor');
                 this.microphone.connect(this.receiverWorklet);
                 
                 // 配置处理器
-                const currentConfig = this.config[this.currentMode];
-                this.receiverWorklet.port.postMessage({
-                    type: 'config',
-                    freq0: currentConfig.freq0,
-                    freq1: currentConfig.freq1,
-                    bitRate: currentConfig.bitRate
-                });
+                this.configureReceiver();
+                this.configureCapture();
                 
-                // 监听检测到的比特
+                // 监听检测到的符号和载波状态，符号为信道内的音调序号；录制时还会收到原始样本块
                 this.receiverWorklet.port.onmessage = (e) => {
-                    if (e.data.type === 'bit') {
-                        this.processBit(e.data.bit, e.data.timestamp);
+                    const { mode, channel } = e.data;
+                    if (e.data.type === 'symbol') {
+                        this.getReceiver(mode, channel).clockDrift = e.data.drift;
+                        this.processSymbol(this.config[mode].channels[channel][e.data.tone], e.data.timestamp, e.data.confidence, mode, channel);
+                    } else if (e.data.type === 'carrier') {
+                        this.setCarrierState(e.data.busy, mode, channel);
+                    } else if (e.data.type === 'level') {
+                        this.updateLinkQuality(e.data, mode, channel);
+                    } else if (e.data.type === 'samples') {
+                        this.recorder.append(e.data.samples, this.sampleRate).catch(error => {
+                            console.warn('保存录音失败:', error);
+                        });
                     }
                 };
             } else {
@@ -235,6 +279,13 @@ class UltrasonicComm {
     stopReceiving() {
         if (!this.isReceiving) return;
         
+        // 正在回放时停止回放，回放结束的回调中不再接回麦克风
+        if (this.replaySource) {
+            const source = this.replaySource;
+            this.replaySource = null;
+            source.stop();
+        }
+        
         if (this.microphone) {
             this.microphone.disconnect();
             this.microphone = null;
@@ -251,28 +302,162 @@ class UltrasonicComm {
         }
         
         this.isReceiving = false;
+        for (const receiver of this.receivers.values()) {
+            receiver.busy = false;
+        }
         this.updateStatus('ready', '已停止监听');
         console.log('停止接收超声波信号');
     }
     
-    // 降级接收器（使用AnalyserNode）
+    // 启用或关闭原始音频录制；关闭时删除已保存的录音
+    async setCaptureEnabled(enabled) {
+        this.captureEnabled = enabled;
+        this.configureCapture();
+        if (!enabled && this.recorder.isSupported()) {
+            await this.recorder.clear();
+        }
+    }
+    
+    // 录制只在AudioWorklet接收路径上进行，样本每秒一块交给录制器；回放期间暂停，避免录下回放的内容
+    configureCapture() {
+        if (!this.receiverWorklet) return;
+        
+        const active = this.captureEnabled && this.recorder.isSupported() && !this.replaySource;
+        this.receiverWorklet.port.postMessage({
+            type: 'record',
+            active: active,
+            chunkSize: Math.round(this.sampleRate)
+        });
+    }
+    
+    // 最近 seconds 秒的原始录音，返回WAV文件内容，没有录音时返回 null
+    async saveCapture(seconds) {
+        if (!this.recorder.isSupported()) return null;
+        return this.recorder.save(seconds);
+    }
+    
+    // 回放WAV录音：暂时断开麦克风，把录音送入接收处理器，按实时接收的流程解调和解码
+    // 录音采样率与音频上下文不同时由浏览器重采样；回放结束后重新接上麦克风
+    async replayCapture(bytes) {
+        if (!this.isReceiving) {
+            await this.startReceiving();
+        }
+        if (!this.receiverWorklet) {
+            throw new Error('回放需要AudioWorklet支持');
+        }
+        if (this.replaySource) {
+            throw new Error('正在回放录音');
+        }
+        
+        const { sampleRate, samples } = this.wav.decode(bytes);
+        const buffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+        buffer.getChannelData(0).set(samples);
+        
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        this.replaySource = source;
+        this.configureCapture();
+        this.microphone.disconnect(this.receiverWorklet);
+        source.connect(this.receiverWorklet);
+        this.updateStatus('receiving', '正在回放录音');
+        
+        await new Promise(resolve => {
+            source.onended = () => {
+                source.disconnect();
+                if (this.replaySource === source) {
+                    this.replaySource = null;
+                    this.microphone.connect(this.receiverWorklet);
+                    this.configureCapture();
+                    this.updateStatus('receiving', '正在监听');
+                }
+                resolve();
+            };
+            source.start();
+        });
+    }
+    
+    // 降级接收器（使用AnalyserNode），各频段的各接收信道分别判决
+    // 画面刷新（约60Hz）时读取频谱，按累计时间每个符号周期判决一个符号，不随刷新率重复判决同一个符号
     startFallbackReceiver() {
+        const estimators = new Map(); // "频段:信道" -> { noise, signalLevel, nextSymbol }
+        let lastReport = 0;
+        
         const detectLoop = () => {
             if (!this.isReceiving) return;
             
-            this.analyser.getFloatFrequencyData(this.dataArray);
-            
-            const currentConfig = this.config[this.currentMode];
-            const bin0 = Math.round(currentConfig.freq0 * this.analyser.fftSize / this.sampleRate);
-            const bin1 = Math.round(currentConfig.freq1 * this.analyser.fftSize / this.sampleRate);
+            if (this.receiveGated) {
+                // 发送结束后从新的载波重新计时
+                for (const band of estimators.values()) {
+                    band.nextSymbol = null;
+                }
+                requestAnimationFrame(detectLoop);
+                return;
+            }
             
-            const power0 = this.dataArray[bin0];
-            const power1 = this.dataArray[bin1];
-            const threshold = -60; // dB
+            this.analyser.getFloatFrequencyData(this.dataArray);
+            const now = this.audioContext.currentTime;
+            const report = now - lastReport >= 0.5;
+            if (report) {
+                lastReport = now;
+            }
             
-            if (power0 > threshold || power1 > threshold) {
-                const bit = power1 > power0 ? 1 : 0;
-                this.processBit(bit, this.audioContext.currentTime);
+            // 加入或离开聊天室后接收的信道随之变化
+            for (const link of this.getReceiveLinks()) {
+                const key = `${link.mode}:${link.channel}`;
+                if (!estimators.has(key)) {
+                    estimators.set(key, { noise: new NoiseFloorEstimator(), signalLevel: null, nextSymbol: null });
+                }
+                const band = estimators.get(key);
+                
+                // 在信道的音调集合上找出能量最大的音调，dB换算为线性幅度
+                const levelAt = frequency => Math.pow(10, this.dataArray[Math.round(frequency * this.analyser.fftSize / this.sampleRate)] / 20);
+                let bestTone = -1;
+                let bestLevel = 0;
+                let total = 0;
+                link.tones.forEach((frequency, tone) => {
+                    const level = levelAt(frequency);
+                    total += level;
+                    if (level > bestLevel) {
+                        bestLevel = level;
+                        bestTone = tone;
+                    }
+                });
+                
+                // 与解调器相同，其他信道泄漏过来的能量不算作本信道的载波
+                const otherLevel = Math.max(0, ...link.otherTones.map(levelAt));
+                band.noise.update((total - bestLevel) / (link.tones.length - 1));
+                const busy = bestLevel > band.noise.threshold && bestLevel > otherLevel * 0.1;
+                
+                if (busy !== this.getReceiver(link.mode, link.channel).busy) {
+                    this.setCarrierState(busy, link.mode, link.channel);
+                }
+                
+                if (busy) {
+                    band.signalLevel = band.signalLevel === null
+                        ? bestLevel
+                        : band.signalLevel + (bestLevel - band.signalLevel) * 0.1;
+                    
+                    // 载波出现半个符号周期后取第一个符号，之后每隔一个符号周期取一个；两次刷新之间跨过几个符号周期时逐个补上
+                    const symbolPeriod = 1 / link.symbolRate;
+                    if (band.nextSymbol === null) {
+                        band.nextSymbol = now + symbolPeriod / 2;
+                    }
+                    while (now >= band.nextSymbol) {
+                        this.processSymbol(this.config[link.mode].channels[link.channel][bestTone], band.nextSymbol, 1, link.mode, link.channel);
+                        band.nextSymbol += symbolPeriod;
+                    }
+                } else {
+                    band.nextSymbol = null;
+                }
+                
+                if (report) {
+                    this.updateLinkQuality({
+                        noiseFloor: band.noise.floor,
+                        threshold: band.noise.threshold,
+                        signal: band.signalLevel,
+                        snr: band.noise.snr(band.signalLevel)
+                    }, link.mode, link.channel);
+                }
             }
             
             requestAnimationFrame(detectLoop);
@@ -280,13 +465,101 @@ class UltrasonicComm {
         detectLoop();
     }
     
-    // 发送数据
-    async transmitData(data) {
-        if (!this.isInitialized || this.isTransmitting) return false;
+    // 更新链路质量，当前发送频段上正在使用的信道的质量随状态回调一起报告给界面
+    updateLinkQuality(level, mode = this.currentMode, channel = this.controlChannel) {
+        const receiver = this.getReceiver(mode, channel);
+        receiver.quality = {
+            snr: level.snr,
+            noiseFloor: level.noiseFloor,
+            threshold: level.threshold
+        };
+        
+        if (mode === this.currentMode && channel === this.getActiveChannel()) {
+            this.linkQuality = receiver.quality;
+            this.updateStatus(this.status, this.statusMessage);
+        }
+    }
+    
+    // 发送数据：加入优先级队列，实际发出后返回 true，失败返回 false
+    // options.channel: 发送使用的信道，默认为控制信道
+    transmitData(data, options = {}) {
+        if (!this.isInitialized) return Promise.resolve(false);
+        
+        const priority = this.priorities[data.type] ?? 1;
+        
+        // 心跳只保留最新的一条
+        if (data.type === 'heartbeat' || data.type === 'discovery') {
+            const queued = this.transmitQueue.find(item => item.data.type === data.type);
+            if (queued) {
+                queued.data = data;
+                return queued.promise;
+            }
+        }
+        
+        const item = {
+            data: data,
+            channel: options.channel ?? this.controlChannel,
+            priority: priority,
+            sequence: this.queueSequence++
+        };
+        item.promise = new Promise(resolve => {
+            item.resolve = resolve;
+        });
+        
+        this.transmitQueue.push(item);
+        this.transmitQueue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+        
+        this.processTransmitQueue();
+        return item.promise;
+    }
+    
+    // 依次处理发送队列；等待信道期间让位给新加入的更高优先级消息的，放回队列按原顺序稍后发送
+    async processTransmitQueue() {
+        if (this.isQueueRunning) return;
+        this.isQueueRunning = true;
         
+        while (this.transmitQueue.length > 0) {
+            const item = this.transmitQueue.shift();
+            const sent = await this.sendFrames(item.data, item.channel, item.priority);
+            if (sent === null) {
+                this.requeueTransmit(item);
+                continue;
+            }
+            item.resolve(sent);
+        }
+        
+        this.isQueueRunning = false;
+    }
+    
+    // 放回队列；让位期间又有新的心跳加入时，旧的心跳不再发送，随新的一条返回
+    requeueTransmit(item) {
+        const newer = this.transmitQueue.find(queued => queued.data.type === item.data.type &&
+            (item.data.type === 'heartbeat' || item.data.type === 'discovery'));
+        if (newer) {
+            item.resolve(newer.promise);
+            return;
+        }
+        
+        this.transmitQueue.push(item);
+        this.transmitQueue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+    }
+    
+    // 队列中是否有比 priority 优先级更高的消息在等待
+    hasHigherPriority(priority) {
+        return this.transmitQueue.length > 0 && this.transmitQueue[0].priority < priority;
+    }
+    
+    // 发给特定用户的消息使用对方最近使用的频段，广播使用当前频段
+    getTransmitMode(data) {
+        return (data.toUserId && this.peerBands.get(data.toUserId)) || this.currentMode;
+    }
+    
+    // 编码、分片并逐帧发送，返回是否发出；发出第一个分片之前让位给更高优先级的消息时返回 null
+    // priority 为消息的优先级，默认（-Infinity）不让位
+    async sendFrames(data, channel = this.controlChannel, priority = -Infinity) {
         console.log('=== TRANSMIT DATA START - 版本2024 ===');
         console.log('准备发送数据:', data);
-        console.log('当前maxPayloadLength:', this.maxPayloadLength);
+        console.log('当前maxPayloadLength:', this.modem.maxPayloadLength);
         
         try {
             // 确保音频上下文处于运行状态
@@ -294,54 +567,170 @@ class UltrasonicComm {
                 await this.audioContext.resume();
             }
             
-            this.isTransmitting = true;
-            this.updateStatus('transmitting', '正在发送');
-            
-            // 编码数据
-            const packet = this.encodePacket(data);
-            const bits = this.createBitStream(packet);
+            // 编码、压缩并分片
+            const payload = await this.compressor.compress(this.serializeData(data));
+            const fragments = this.modem.createFragments(payload);
+            const mode = this.getTransmitMode(data);
+            const profileName = this.getTransmitProfile(mode, channel);
             
-            // 生成音频信号
-            await this.generateTone(bits);
+            for (let i = 0; i < fragments.length; i++) {
+                // 先听后说；已开始发送的消息不再让位，剩余分片接着发完
+                const clear = await this.waitForClearChannel(mode, channel, i === 0 ? priority : -Infinity);
+                if (clear === null) {
+                    console.log('让位给更高优先级的消息:', data.type);
+                    return null;
+                }
+                if (!clear) {
+                    console.warn('信道持续繁忙，放弃发送:', data.type);
+                    this.updateStatus('error', '信道繁忙，发送失败');
+                    return false;
+                }
+                
+                this.isTransmitting = true;
+                this.updateStatus('transmitting', fragments.length > 1
+                    ? `正在发送 (${i + 1}/${fragments.length})`
+                    : '正在发送');
+                
+                const packet = this.modem.encodePacket(fragments[i], mode);
+                const symbols = this.modem.createSymbolStream(packet, mode, channel, profileName);
+                
+                // 生成音频信号
+                this.setReceiveGate(true);
+                await this.generateTone(symbols, mode, profileName);
+                this.setReceiveGate(false);
+                this.isTransmitting = false;
+            }
             
-            this.isTransmitting = false;
             this.updateStatus('ready', '发送完成');
             
             return true;
         } catch (error) {
             console.error('发送失败:', error);
+            this.setReceiveGate(false);
             this.isTransmitting = false;
             this.updateStatus('error', '发送失败');
             return false;
         }
     }
     
-    // 生成音频信号
-    async generateTone(bits) {
-        const currentConfig = this.config[this.currentMode];
-        const bitDuration = 1 / currentConfig.bitRate;
-        const totalDuration = bits.length * bitDuration;
+    // 屏蔽或恢复接收；恢复时延后回声时长加上音频输出延迟
+    setReceiveGate(active) {
+        clearTimeout(this.gateReleaseTimer);
+        this.gateReleaseTimer = null;
         
-        // 创建音频缓冲区
-        const bufferSize = Math.ceil(totalDuration * this.sampleRate);
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.sampleRate);
-        const channelData = buffer.getChannelData(0);
-        
-        // 生成FSK信号
-        let sampleIndex = 0;
-        for (let i = 0; i < bits.length; i++) {
-            const bit = bits[i];
-            const frequency = bit ? currentConfig.freq1 : currentConfig.freq0;
-            const samplesPerBit = Math.floor(bitDuration * this.sampleRate);
-            
-            // 生成正弦波
-            for (let j = 0; j < samplesPerBit && sampleIndex < bufferSize; j++) {
-                const t = sampleIndex / this.sampleRate;
-                channelData[sampleIndex] = Math.sin(2 * Math.PI * frequency * t) * this.volume;
-                sampleIndex++;
+        if (active) {
+            this.applyReceiveGate(true);
+            for (const receiver of this.receivers.values()) {
+                receiver.symbolBuffer = [];
+                receiver.confidenceBuffer = [];
+                this.setCarrierState(false, receiver.mode, receiver.channel);
             }
+            return;
         }
         
+        const latency = (this.audioContext.outputLatency || this.audioContext.baseLatency || 0) * 1000;
+        this.gateReleaseTimer = setTimeout(() => {
+            this.gateReleaseTimer = null;
+            this.applyReceiveGate(false);
+        }, this.echoTail + latency);
+    }
+    
+    applyReceiveGate(active) {
+        this.receiveGated = active;
+        if (this.receiverWorklet) {
+            this.receiverWorklet.port.postMessage({ type: 'gate', active: active });
+        }
+    }
+    
+    // 载波状态变化
+    setCarrierState(busy, mode = this.currentMode, channel = this.controlChannel) {
+        const receiver = this.getReceiver(mode, channel);
+        receiver.busy = busy;
+        receiver.lastCarrierChange = Date.now();
+    }
+    
+    // 信道是否繁忙：有载波，或载波消失不足 idleTime 毫秒
+    isChannelBusy(idleTime, mode = this.currentMode, channel = this.controlChannel) {
+        if (!this.isReceiving) return false;
+        const receiver = this.getReceiver(mode, channel);
+        return receiver.busy || Date.now() - receiver.lastCarrierChange < idleTime;
+    }
+    
+    // 本机是否正在其他监听的（频段, 信道）上收到载波：发送期间接收被屏蔽，此时发送会丢掉正在接收的帧
+    isReceivingElsewhere(mode, channel) {
+        if (!this.isReceiving) return false;
+        return this.getReceiveLinks().some(link =>
+            (link.mode !== mode || link.channel !== channel) && this.getReceiver(link.mode, link.channel).busy);
+    }
+    
+    // 退避时隙：4个符号周期，至少100毫秒
+    getSlotTime(mode = this.currentMode) {
+        return Math.max(100, 4000 / this.config[mode].symbolRate);
+    }
+    
+    // 等待要发送的信道空闲，期间按二进制指数退避；本机正在其他监听的信道上接收时也等待，
+    // 其余信道上的通信不影响发送
+    // 载波持续期间逐个时隙等待、不消耗退避次数（一个分片可能要发送半分钟以上），载波持续超过最长分片发送时长的两倍时视为持续繁忙
+    // 退避期间逐个时隙检查队列，有比 priority 更高优先级的消息在等待时返回 null 让出信道；持续繁忙时返回 false
+    async waitForClearChannel(mode = this.currentMode, channel = this.controlChannel, priority = -Infinity) {
+        const slotTime = this.getSlotTime(mode);
+        const isBusy = idleTime => this.isChannelBusy(idleTime, mode, channel) || this.isReceivingElsewhere(mode, channel);
+        const maxBusyTime = this.getMaxFrameTime(mode) * 2;
+        let contentionWindow = this.minContentionWindow;
+        let busySince = null;
+        
+        for (let attempt = 0; attempt < this.maxBackoffAttempts;) {
+            if (isBusy(slotTime * 2)) {
+                if (busySince === null) busySince = Date.now();
+                if (Date.now() - busySince > maxBusyTime) return false;
+                if (!await this.backoff(1, slotTime, priority)) return null;
+                continue;
+            }
+            busySince = null;
+            
+            // 信道空闲后随机退避，避免多台设备同时开始发送；退避期间有设备抢先发送时加倍竞争窗口
+            if (!await this.backoff(Math.floor(Math.random() * contentionWindow), slotTime, priority)) return null;
+            if (!isBusy(slotTime)) return true;
+            
+            attempt++;
+            contentionWindow = Math.min(contentionWindow * 2, this.maxContentionWindow);
+        }
+        
+        return false;
+    }
+    
+    // 最大的分片在 mode 频段上以最慢的调制方式发送的时长（毫秒）
+    getMaxFrameTime(mode = this.currentMode) {
+        const fragmentLength = this.modem.fragmentHeaderLength + this.modem.maxFragmentData;
+        return Math.max(...Object.keys(this.config[mode].profiles)
+            .map(profileName => this.modem.getFrameDuration(fragmentLength, mode, profileName))) * 1000;
+    }
+    
+    // 退避 slots 个时隙，有更高优先级的消息加入队列时提前结束并返回 false
+    async backoff(slots, slotTime, priority) {
+        for (let slot = 0; slot < slots; slot++) {
+            if (this.hasHigherPriority(priority)) return false;
+            await this.sleep(slotTime);
+        }
+        return !this.hasHigherPriority(priority);
+    }
+    
+    // 清空发送队列
+    clearTransmitQueue() {
+        for (const item of this.transmitQueue) {
+            item.resolve(false);
+        }
+        this.transmitQueue = [];
+    }
+    
+    // 播放音频信号，symbols 为音调网格中的音调序号
+    async generateTone(symbols, mode = this.currentMode, profileName = this.currentProfile) {
+        const samples = this.modem.renderSymbols(symbols, mode, profileName, this.volume);
+        
+        // 创建音频缓冲区
+        const buffer = this.audioContext.createBuffer(1, samples.length, this.sampleRate);
+        buffer.getChannelData(0).set(samples);
+        
         // 播放音频
         const source = this.audioContext.createBufferSource();
         source.buffer = buffer;
@@ -354,184 +743,166 @@ class UltrasonicComm {
         });
     }
     
-    // 数据包编码
-    encodePacket(data) {
-        console.log('=== ENCODE PACKET START ===');
-        console.log('输入数据:', data);
-        console.log('maxPayloadLength:', this.maxPayloadLength);
-        
-        const jsonString = JSON.stringify(data);
-        console.log('JSON字符串:', jsonString);
-        console.log('JSON字符串长度:', jsonString.length);
-        
-        const payload = new TextEncoder().encode(jsonString);
-        console.log('编码后字节数:', payload.length);
-        
-        console.log('检查:', payload.length, '>', this.maxPayloadLength, '=', payload.length > this.maxPayloadLength);
-        
-        // 限制载荷长度
-        if (payload.length > this.maxPayloadLength) {
-            console.error('数据包过大!', payload.length, '>', this.maxPayloadLength);
-            throw new Error(`数据包过大: ${payload.length}字节 > ${this.maxPayloadLength}字节`);
-        }
-        
-        console.log('=== ENCODE PACKET SUCCESS ===');
-        
-        // 构建数据包：头部 + 长度 + 载荷 + CRC
-        const packet = new Uint8Array(this.packetHeader.length + 1 + payload.length + 1);
-        let offset = 0;
-        
-        // 同步头
-        for (let i = 0; i < this.packetHeader.length; i++) {
-            packet[offset++] = this.packetHeader[i];
-        }
-        
-        // 载荷长度
-        packet[offset++] = payload.length;
-        
-        // 载荷数据
-        for (let i = 0; i < payload.length; i++) {
-            packet[offset++] = payload[i];
-        }
-        
-        // 简单的CRC
-        packet[offset] = this.calculateCRC(payload);
-        
-        return packet;
+    // 注册发现相关的消息类型
+    registerMessageTypes() {
+        const presence = [
+            ['userId', 'uid'],
+            ['username', 'string'],
+            ['timestamp', 'varint']
+        ];
+        this.wire.registerType('heartbeat', 1, presence);
+        this.wire.registerType('discovery', 2, presence);
+        this.wire.registerType('band_switch', 3, [
+            ['switchId', 'id'],
+            ['fromUserId', 'uid'],
+            ['toUserId', 'uid'],
+            ['mode', 'string'],
+            ['accept', 'bool'],
+            ['timestamp', 'varint'],
+            ['signingKey', 'bytes'],
+            ['signature', 'bytes']
+        ]);
     }
     
-    // 创建比特流
-    createBitStream(packet) {
-        const bits = [];
-        
-        for (let i = 0; i < packet.length; i++) {
-            const byte = packet[i];
-            // 将字节转换为8个比特（LSB first）
-            for (let j = 0; j < 8; j++) {
-                bits.push((byte >> j) & 1);
-            }
-        }
+    // 序列化消息
+    serializeData(data) {
+        const bytes = this.wire.encode(data);
+        console.log('编码后字节数:', bytes.length);
         
-        return bits;
+        return bytes;
     }
     
-    // 比特处理和数据包重建
-    processBit(bit, timestamp) {
-        if (!this.bitBuffer) {
-            this.bitBuffer = [];
-            this.lastBitTime = timestamp;
-        }
-        
-        // 检查比特间隔是否合理
-        const timeDiff = timestamp - this.lastBitTime;
-        const expectedInterval = 1 / this.config[this.currentMode].bitRate;
+    // 符号处理和数据包重建，每个（频段, 信道）独立缓冲
+    processSymbol(tone, timestamp, confidence = 1, mode = this.currentMode, channel = this.controlChannel) {
+        if (this.receiveGated) return;
         
-        if (timeDiff > expectedInterval * 2) {
-            // 间隔过长，重置缓冲区
-            this.bitBuffer = [];
-        }
-        
-        this.bitBuffer.push(bit);
-        this.lastBitTime = timestamp;
+        this.modem.bufferSymbol(this.getReceiver(mode, channel), tone, timestamp, confidence, mode);
         
         // 尝试同步和解码
-        this.tryDecodePacket();
+        this.tryDecodePacket(mode, channel);
     }
     
     // 尝试解码数据包
-    tryDecodePacket() {
-        if (this.bitBuffer.length < (this.packetHeader.length + 2) * 8) return;
-        
-        // 查找同步头
-        for (let i = 0; i <= this.bitBuffer.length - this.packetHeader.length * 8; i += 8) {
-            if (this.matchHeader(i)) {
-                const packet = this.extractPacket(i);
-                if (packet) {
-                    this.handleReceivedPacket(packet);
-                    // 清理已处理的比特
-                    this.bitBuffer = this.bitBuffer.slice(i + packet.length * 8);
-                    return;
-                }
-            }
-        }
+    tryDecodePacket(mode = this.currentMode, channel = this.controlChannel) {
+        const packet = this.modem.findPacket(this.getReceiver(mode, channel), mode, channel);
+        if (!packet) return;
         
-        // 清理过长的缓冲区
-        if (this.bitBuffer.length > 1000) {
-            this.bitBuffer = this.bitBuffer.slice(-500);
+        if (packet.failed) {
+            // 帧完整但无法纠正，跳过整帧
+            this.recordFrameFailure(mode);
+        } else {
+            this.handleReceivedPacket(packet);
         }
     }
     
-    // 匹配同步头
-    matchHeader(startIndex) {
-        for (let i = 0; i < this.packetHeader.length; i++) {
-            const byteStartIndex = startIndex + i * 8;
-            let byte = 0;
-            
-            for (let j = 0; j < 8; j++) {
-                byte |= this.bitBuffer[byteStartIndex + j] << j;
-            }
-            
-            if (byte !== this.packetHeader[i]) {
-                return false;
-            }
+    // 处理接收到的数据包（分片）
+    handleReceivedPacket(packet) {
+        const payload = packet.payload;
+        if (payload.length < this.modem.fragmentHeaderLength) return;
+        
+        const { messageId, index, total } = this.modem.parseFragmentHeader(payload);
+        
+        if (total === 0 || index >= total) {
+            console.warn('无效分片:', messageId, index, total);
+            return;
         }
-        return true;
-    }
-    
-    // 提取数据包
-    extractPacket(startIndex) {
-        const headerLen = this.packetHeader.length * 8;
-        const lengthIndex = startIndex + headerLen;
         
-        if (lengthIndex + 8 > this.bitBuffer.length) return null;
+        // 已完成的消息，丢弃重复分片
+        const key = this.getFragmentKey(packet, messageId);
+        if (this.completedMessages.get(key) > Date.now()) return;
         
-        // 提取载荷长度
-        let payloadLength = 0;
-        for (let i = 0; i < 8; i++) {
-            payloadLength |= this.bitBuffer[lengthIndex + i] << i;
+        let entry = this.reassemblyBuffer.get(key);
+        if (!entry || entry.total !== total) {
+            entry = {
+                total: total,
+                fragments: new Array(total),
+                received: 0,
+                correctedBits: 0,
+                confidence: 1,
+                mode: packet.mode,
+                channel: packet.channel,
+                profile: packet.profile,
+                lastUpdate: Date.now()
+            };
+            this.reassemblyBuffer.set(key, entry);
         }
         
-        if (payloadLength > this.maxPayloadLength) return null;
+        // 重复分片
+        if (entry.fragments[index]) return;
         
-        const totalPacketBits = (this.packetHeader.length + 1 + payloadLength + 1) * 8;
-        if (startIndex + totalPacketBits > this.bitBuffer.length) return null;
+        entry.fragments[index] = payload.slice(this.modem.fragmentHeaderLength);
+        entry.received++;
+        entry.correctedBits += packet.correctedBits;
+        entry.confidence = Math.min(entry.confidence, packet.confidence);
+        entry.lastUpdate = Date.now();
         
-        // 提取完整数据包
-        const packetBytes = [];
-        for (let i = 0; i < this.packetHeader.length + 1 + payloadLength + 1; i++) {
-            let byte = 0;
-            const byteIndex = startIndex + i * 8;
-            for (let j = 0; j < 8; j++) {
-                byte |= this.bitBuffer[byteIndex + j] << j;
-            }
-            packetBytes.push(byte);
+        if (total > 1) {
+            console.log('收到分片:', messageId, `${entry.received}/${total}`);
         }
         
-        // 验证CRC
-        const payload = packetBytes.slice(this.packetHeader.length + 1, -1);
-        const receivedCRC = packetBytes[packetBytes.length - 1];
-        const calculatedCRC = this.calculateCRC(new Uint8Array(payload));
+        if (entry.received < total) return;
         
-        if (receivedCRC === calculatedCRC) {
-            return {
-                payload: new Uint8Array(payload),
-                length: packetBytes.length
-            };
-        }
+        // 所有分片到齐，重组消息
+        this.reassemblyBuffer.delete(key);
+        this.completedMessages.set(key, Date.now() + this.duplicateWindow);
+        
+        const bytes = this.modem.joinFragments(entry.fragments);
         
-        return null;
+        this.handleReassembledMessage(bytes, {
+            correctedBits: entry.correctedBits,
+            fragments: total,
+            mode: entry.mode,
+            channel: entry.channel,
+            profile: entry.profile,
+            confidence: entry.confidence,
+            snr: this.getReceiver(entry.mode, entry.channel).quality.snr,
+            clockDrift: this.getReceiver(entry.mode, entry.channel).clockDrift
+        });
     }
     
-    // 处理接收到的数据包
-    handleReceivedPacket(packet) {
+    // 分片重组的键：同一频段、同一信道上同时只有一台设备在发送，16位消息ID在其中不易冲突
+    getFragmentKey(packet, messageId) {
+        return `${packet.mode}:${packet.channel}:${messageId}`;
+    }
+    
+    // 处理重组完成的消息
+    async handleReassembledMessage(bytes, packetInfo) {
         try {
-            const jsonData = new TextDecoder().decode(packet.payload);
-            const data = JSON.parse(jsonData);
+            if (this.isDuplicateMessage(bytes)) {
+                console.log('丢弃重复消息');
+                return;
+            }
+            
+            const data = this.wire.decode(await this.compressor.decompress(bytes));
+            
+            // 自己发出的消息（回声、反射）
+            const senderId = data.userId || data.fromUserId;
+            if (senderId === this.myUserId) {
+                console.log('忽略自己发出的消息:', data.type);
+                return;
+            }
             
-            console.log('接收到数据:', data);
+            console.log('接收到数据:', data, '纠正比特数:', packetInfo.correctedBits);
+            
+            if (senderId) {
+                this.peerBands.set(senderId, packetInfo.mode);
+                
+                // 心跳间隔较长，收到对方的任何消息都说明对方仍在线
+                const user = this.discoveredUsers.get(senderId);
+                if (user) {
+                    user.lastSeen = Date.now();
+                }
+                
+                // 链路统计只针对当前发送频段
+                if (packetInfo.mode === this.currentMode) {
+                    this.lastSenderId = senderId;
+                    this.recordLinkFrame(senderId, true, packetInfo.snr);
+                }
+                this.confirmBandSwitch(senderId, packetInfo.mode);
+            }
             
             if (this.onDataReceived) {
-                this.onDataReceived(data);
+                this.onDataReceived(data, packetInfo);
             }
             
             // 处理不同类型的消息
@@ -551,11 +922,8 @@ class UltrasonicComm {
             case 'discovery':
                 this.handleDiscovery(data);
                 break;
-            case 'chat':
-                this.handleChatMessage(data);
-                break;
-            case 'invite':
-                this.handleInvite(data);
+            case 'band_switch':
+                this.handleBandSwitch(data);
                 break;
         }
     }
@@ -563,16 +931,40 @@ class UltrasonicComm {
     // 处理心跳消息
     handleHeartbeat(data) {
         const userId = data.userId;
-        if (userId !== this.myUserId) {
-            this.discoveredUsers.set(userId, {
-                ...data,
-                lastSeen: Date.now()
-            });
-            
-            if (this.onUserDetected) {
-                this.onUserDetected(userId, data);
+        this.discoveredUsers.set(userId, {
+            ...data,
+            lastSeen: Date.now()
+        });
+        
+        if (this.onUserDetected) {
+            this.onUserDetected(userId, data);
+        }
+    }
+    
+    // 按内容指纹判断短时间内是否已解码过同一条消息
+    isDuplicateMessage(bytes) {
+        const now = Date.now();
+        for (const [fingerprint, receivedAt] of this.recentMessages.entries()) {
+            if (now - receivedAt > this.duplicateWindow) {
+                this.recentMessages.delete(fingerprint);
             }
         }
+        
+        const fingerprint = `${bytes.length}:${this.fingerprint(bytes)}`;
+        if (this.recentMessages.has(fingerprint)) return true;
+        
+        this.recentMessages.set(fingerprint, now);
+        return false;
+    }
+    
+    // FNV-1a 32位哈希
+    fingerprint(bytes) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
     }
     
     // 处理发现消息
@@ -580,22 +972,193 @@ class UltrasonicComm {
         this.handleHeartbeat(data);
     }
     
-    // 处理聊天消息
-    handleChatMessage(data) {
-        if (this.onDataReceived) {
-            this.onDataReceived(data);
+    // 记录一帧的接收结果，并据此评估与该用户的链路
+    recordLinkFrame(userId, ok, snr) {
+        let frames = this.linkStats.get(userId);
+        if (!frames) {
+            frames = [];
+            this.linkStats.set(userId, frames);
+        }
+        
+        frames.push({ ok, snr });
+        if (frames.length > this.bandPolicy.window) {
+            frames.shift();
+        }
+        
+        this.evaluateLink(userId);
+    }
+    
+    recordFrameFailure(mode) {
+        if (this.lastSenderId && mode === this.currentMode) {
+            this.recordLinkFrame(this.lastSenderId, false, null);
+        }
+    }
+    
+    // 链路变差时降级到低频，低频下链路良好时升级回高频
+    evaluateLink(userId) {
+        if (!this.autoBandSwitching || this.bandSwitch) return;
+        if (Date.now() - this.lastBandSwitch < this.bandPolicy.holdTime) return;
+        
+        const frames = this.linkStats.get(userId);
+        if (!frames || frames.length < this.bandPolicy.minFrames) return;
+        
+        const failures = frames.filter(frame => !frame.ok).length;
+        const snrs = frames.filter(frame => frame.snr !== null && frame.snr !== undefined).map(frame => frame.snr);
+        const averageSnr = snrs.length ? snrs.reduce((sum, snr) => sum + snr, 0) / snrs.length : null;
+        
+        if (this.currentMode === 'high') {
+            const tooManyFailures = failures / frames.length > this.bandPolicy.maxFailureRate;
+            const tooNoisy = averageSnr !== null && averageSnr < this.bandPolicy.fallbackSnr;
+            if (tooManyFailures || tooNoisy) {
+                this.requestBandSwitch(userId, 'low', 'fallback');
+            }
+        } else if (this.currentMode === 'low') {
+            if (frames.length >= this.bandPolicy.window && failures === 0 &&
+                averageSnr !== null && averageSnr >= this.bandPolicy.climbSnr) {
+                this.requestBandSwitch(userId, 'high', 'climb');
+            }
+        }
+    }
+    
+    // 向对方发起频段切换请求，对方同意后双方同时切换
+    async requestBandSwitch(userId, mode, reason) {
+        const switchId = this.wire.randomId();
+        this.bandSwitch = { switchId: switchId, userId: userId, mode: mode, reason: reason, stage: 'requested', timer: null };
+        
+        console.log('请求切换频段:', userId, mode, reason);
+        const request = await this.signBandSwitch({
+            type: 'band_switch',
+            switchId: switchId,
+            fromUserId: this.myUserId,
+            toUserId: userId,
+            mode: mode,
+            accept: false,
+            timestamp: Date.now()
+        });
+        const sent = await this.transmitData(request);
+        
+        // 发送期间协商可能已被取消，或被对方的请求取代
+        if (this.bandSwitch?.switchId !== switchId || this.bandSwitch.stage !== 'requested') return;
+        
+        // 请求发出后开始计时，对方的同意帧与请求等长
+        const timeout = sent ? this.bandPolicy.requestTimeout + this.estimateAirtime(request) * 1000 : 0;
+        this.bandSwitch.timer = setTimeout(() => {
+            // 对方未响应，等待一个保持时间后再评估
+            console.log('频段切换请求超时:', userId, mode);
+            this.bandSwitch = null;
+            this.lastBandSwitch = Date.now();
+        }, timeout);
+    }
+    
+    async handleBandSwitch(data) {
+        if (data.toUserId !== this.myUserId || !this.config[data.mode]) return;
+        if (!await this.verifyBandSwitch(data)) {
+            console.warn('丢弃无法验证、过期或重放的频段协商:', data.fromUserId, data.mode);
+            return;
+        }
+        
+        if (data.accept) {
+            // 只接受正在与之协商的对方对这次请求的同意
+            if (this.bandSwitch && this.bandSwitch.stage === 'requested' &&
+                this.bandSwitch.switchId === data.switchId && this.bandSwitch.userId === data.fromUserId) {
+                clearTimeout(this.bandSwitch.timer);
+                this.applyBandSwitch(data.mode, this.bandSwitch.reason, data.fromUserId);
+            }
+            return;
+        }
+        
+        // 手动选择了频段时不参与协商，对方请求超时后保持原频段
+        if (!this.autoBandSwitching) return;
+        
+        if (this.bandSwitch) {
+            clearTimeout(this.bandSwitch.timer);
+            this.bandSwitch = null;
+        }
+        
+        // 先在当前频段上回复同意，发送完成后再切换
+        const sent = await this.transmitData(await this.signBandSwitch({
+            type: 'band_switch',
+            switchId: data.switchId,
+            fromUserId: this.myUserId,
+            toUserId: data.fromUserId,
+            mode: data.mode,
+            accept: true,
+            timestamp: Date.now()
+        }));
+        
+        if (sent && data.mode !== this.currentMode) {
+            this.applyBandSwitch(data.mode, 'negotiated', data.fromUserId);
+        }
+    }
+    
+    signBandSwitch(data) {
+        return this.frameSigner ? this.frameSigner.signFrame(data) : data;
+    }
+    
+    // 协商帧须未过期、未处理过，接入了签名时还须签名有效
+    async verifyBandSwitch(data) {
+        const now = Date.now();
+        if (Math.abs(now - (data.timestamp || 0)) > this.bandPolicy.maxSwitchAge) return false;
+        if (this.frameSigner && await this.frameSigner.verifyFrame(data) !== true) return false;
+        
+        for (const [key, expiresAt] of this.handledBandSwitches) {
+            if (now > expiresAt) {
+                this.handledBandSwitches.delete(key);
+            }
+        }
+        const key = `${data.switchId}:${data.accept ? 1 : 0}`;
+        if (this.handledBandSwitches.has(key)) return false;
+        this.handledBandSwitches.set(key, now + this.bandPolicy.maxSwitchAge * 2);
+        return true;
+    }
+    
+    // 切换频段，并等待在新频段上收到对方的消息
+    applyBandSwitch(mode, reason, userId) {
+        const previousMode = this.currentMode;
+        this.changeMode(mode, reason, userId);
+        
+        this.bandSwitch = {
+            userId: userId,
+            mode: mode,
+            previousMode: previousMode,
+            stage: 'confirming',
+            timer: setTimeout(() => {
+                console.log('新频段上未收到对方消息，回退:', userId, previousMode);
+                this.bandSwitch = null;
+                this.changeMode(previousMode, 'rollback', userId);
+            }, this.bandPolicy.confirmTimeout)
+        };
+    }
+    
+    confirmBandSwitch(userId, mode) {
+        if (this.bandSwitch && this.bandSwitch.stage === 'confirming' &&
+            this.bandSwitch.userId === userId && this.bandSwitch.mode === mode) {
+            clearTimeout(this.bandSwitch.timer);
+            this.bandSwitch = null;
+        }
+    }
+    
+    cancelBandSwitch() {
+        if (this.bandSwitch) {
+            clearTimeout(this.bandSwitch.timer);
+            this.bandSwitch = null;
         }
     }
     
-    // 处理邀请
-    handleInvite(data) {
-        if (this.onDataReceived) {
-            this.onDataReceived(data);
+    changeMode(mode, reason, userId) {
+        this.setMode(mode);
+        this.lastBandSwitch = Date.now();
+        this.linkStats.clear();
+        
+        if (this.onModeChanged) {
+            this.onModeChanged(mode, { reason, userId });
         }
     }
     
-    // 发送心跳
+    // 发送心跳：上一条还在队列中或发出后未满心跳间隔时跳过
     async sendHeartbeat() {
+        if (this.heartbeatPending || Date.now() - this.lastHeartbeat < this.getHeartbeatInterval()) return;
+        
         const heartbeat = {
             type: 'heartbeat',
             userId: this.myUserId,
@@ -603,7 +1166,31 @@ class UltrasonicComm {
             timestamp: Date.now()
         };
         
-        await this.transmitData(heartbeat);
+        this.heartbeatPending = true;
+        try {
+            await this.transmitData(heartbeat);
+        } finally {
+            this.heartbeatPending = false;
+            this.lastHeartbeat = Date.now();
+        }
+    }
+    
+    // 心跳间隔（毫秒）：两条心跳之间的静默时间，使心跳占用信道的比例不超过 heartbeatDutyCycle，至少3秒
+    getHeartbeatInterval(mode = this.currentMode, profileName = this.getTransmitProfile(mode)) {
+        const length = this.modem.fragmentHeaderLength + this.serializeData({
+            type: 'heartbeat',
+            userId: this.myUserId,
+            username: this.getUsername(),
+            timestamp: Date.now()
+        }).length + 1;
+        const airtime = this.modem.getFrameDuration(length, mode, profileName) * 1000;
+        return Math.max(3000, airtime * (1 - this.heartbeatDutyCycle) / this.heartbeatDutyCycle);
+    }
+    
+    // 用户超时（毫秒）：约三条心跳都没有收到，按对方所用频段上最慢的调制方式估算
+    getPresenceTimeout(userId) {
+        const mode = this.peerBands.get(userId) || this.currentMode;
+        return 4 * this.getHeartbeatInterval(mode, 'fsk2');
     }
     
     // 发送发现信号
@@ -622,14 +1209,15 @@ class UltrasonicComm {
     startDiscovery() {
         this.startReceiving();
         
-        // 定期发送心跳
+        // 定期检查是否该发送心跳，实际间隔见 getHeartbeatInterval
         this.heartbeatInterval = setInterval(() => {
             this.sendHeartbeat();
         }, 3000);
         
-        // 定期清理过期用户
+        // 定期清理过期用户和未完成的分片
         this.discoveryInterval = setInterval(() => {
             this.cleanupExpiredUsers();
+            this.cleanupReassemblyBuffer();
         }, 5000);
         
         // 立即发送一次发现信号
@@ -654,23 +1242,136 @@ class UltrasonicComm {
     // 清理过期用户
     cleanupExpiredUsers() {
         const now = Date.now();
-        const timeout = 10000; // 10秒超时
         
         for (const [userId, user] of this.discoveredUsers.entries()) {
-            if (now - user.lastSeen > timeout) {
+            if (now - user.lastSeen > this.getPresenceTimeout(userId)) {
                 this.discoveredUsers.delete(userId);
                 console.log('用户离线:', userId);
             }
         }
     }
     
+    // 清理超时的分片重组缓冲
+    cleanupReassemblyBuffer() {
+        const now = Date.now();
+        const fragmentLength = this.modem.fragmentHeaderLength + this.modem.maxFragmentData;
+        
+        for (const [key, entry] of this.reassemblyBuffer.entries()) {
+            // 超时时间按消息所用频段和调制方式下最大分片的发送时长计算
+            const timeout = this.modem.getFrameDuration(fragmentLength, entry.mode, entry.profile) * 2000 + 5000;
+            if (now - entry.lastUpdate > timeout) {
+                this.reassemblyBuffer.delete(key);
+                console.log('分片重组超时:', key, `${entry.received}/${entry.total}`);
+            }
+        }
+        
+        for (const [key, expiresAt] of this.completedMessages.entries()) {
+            if (now > expiresAt) {
+                this.completedMessages.delete(key);
+            }
+        }
+    }
+    
+    // 估算发送一条消息所需的时间（秒），按未压缩长度估算上限
+    estimateAirtime(data, channel = this.controlChannel) {
+        const length = this.serializeData(data).length + 1;
+        const total = Math.max(1, Math.ceil(length / this.modem.maxFragmentData));
+        const mode = this.getTransmitMode(data);
+        
+        let duration = 0;
+        for (let index = 0; index < total; index++) {
+            const chunkLength = Math.min(this.modem.maxFragmentData, length - index * this.modem.maxFragmentData);
+            duration += this.modem.getFrameDuration(this.modem.fragmentHeaderLength + Math.max(0, chunkLength), mode, this.getTransmitProfile(mode, channel));
+        }
+        
+        return duration;
+    }
+    
+    // 离线渲染消息的全部分片，分片之间和首尾留出静音，不需要音频上下文
+    // options: { mode, channel, profile, gap（静音秒数） }
+    async renderMessage(data, options = {}) {
+        const mode = options.mode || this.currentMode;
+        const channel = options.channel ?? this.controlChannel;
+        const profileName = options.profile || this.getTransmitProfile(mode, channel);
+        const gap = Math.round((options.gap ?? 0.5) * this.sampleRate);
+        
+        const payload = await this.compressor.compress(this.serializeData(data));
+        const frames = this.modem.createFragments(payload).map(fragment => {
+            const symbols = this.modem.createSymbolStream(this.modem.encodePacket(fragment, mode), mode, channel, profileName);
+            return this.modem.renderSymbols(symbols, mode, profileName, this.volume);
+        });
+        
+        const samples = new Float32Array(frames.reduce((sum, frame) => sum + frame.length + gap, gap));
+        let offset = gap;
+        for (const frame of frames) {
+            samples.set(frame, offset);
+            offset += frame.length + gap;
+        }
+        return samples;
+    }
+    
+    // 将消息渲染为WAV文件（16位单声道，当前采样率）
+    async renderWav(data, options = {}) {
+        return this.wav.encode(await this.renderMessage(data, options), this.sampleRate);
+    }
+    
+    // 离线解码WAV文件，返回 { sampleRate, duration, packets, messages }
+    async decodeWav(bytes, options = {}) {
+        const { sampleRate, samples } = this.wav.decode(bytes);
+        return this.decodeSamples(samples, sampleRate, options);
+    }
+    
+    // 离线解码：由调制解调核心解调出各帧（见 ModemCore.decodeSamples），再重组解码消息，不影响实时接收
+    // packets 为 handleReceivedPacket 收到的数据包（含无法纠正的帧），messages 为重组解码后的消息
+    async decodeSamples(samples, sampleRate, options = {}) {
+        const result = this.modem.decodeSamples(samples, sampleRate, options);
+        result.messages = await this.decodePackets(result.packets);
+        return result;
+    }
+    
+    // 离线重组：按（频段, 信道, 消息ID）收集分片，到齐后解压并解码，返回 [{ data, packets }]
+    async decodePackets(packets) {
+        const entries = new Map();
+        const messages = [];
+        
+        for (const packet of packets) {
+            if (packet.failed || packet.payload.length < this.modem.fragmentHeaderLength) continue;
+            
+            const { messageId, index, total } = this.modem.parseFragmentHeader(packet.payload);
+            if (total === 0 || index >= total) continue;
+            
+            const key = this.getFragmentKey(packet, messageId);
+            let entry = entries.get(key);
+            if (!entry || entry.total !== total) {
+                entry = { total: total, fragments: new Array(total), received: 0, packets: [] };
+                entries.set(key, entry);
+            }
+            if (entry.fragments[index]) continue;
+            
+            entry.fragments[index] = packet.payload.slice(this.modem.fragmentHeaderLength);
+            entry.received++;
+            entry.packets.push(packet);
+            if (entry.received < total) continue;
+            
+            entries.delete(key);
+            try {
+                const bytes = await this.compressor.decompress(this.modem.joinFragments(entry.fragments));
+                messages.push({ data: this.wire.decode(bytes), packets: entry.packets });
+            } catch (error) {
+                console.warn('离线解码消息失败:', messageId, error);
+            }
+        }
+        
+        return messages;
+    }
+    
     // 工具函数
-    generateUserId() {
-        return Math.random().toString(36).substr(2, 9);
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
     
     getUsername() {
-        const storedUsername = localStorage.getItem('username');
+        const storedUsername = this.storage.getItem('username');
         const defaultUsername = '用户' + this.myUserId.substr(0, 4);
         const username = storedUsername || defaultUsername;
         
@@ -679,29 +1380,92 @@ class UltrasonicComm {
         return username;
     }
     
-    calculateCRC(data) {
-        let crc = 0;
-        for (let i = 0; i < data.length; i++) {
-            crc ^= data[i];
+    // 发送使用的调制方式：所选调制方式在信道上不可用时改用信道支持的最高阶调制方式
+    getTransmitProfile(mode = this.currentMode, channel = this.controlChannel) {
+        return this.modem.resolveProfile(this.currentProfile, mode, channel);
+    }
+    
+    // 信道数
+    getChannelCount(mode = this.currentMode) {
+        return this.modem.getChannelCount(mode);
+    }
+    
+    // 正在使用的信道：在聊天室中为房间信道，否则为控制信道
+    getActiveChannel() {
+        return this.roomChannel ?? this.controlChannel;
+    }
+    
+    // 接收状态（符号缓冲区、载波状态和链路质量），首次使用时创建
+    getReceiver(mode, channel) {
+        const key = `${mode}:${channel}`;
+        if (!this.receivers.has(key)) {
+            this.receivers.set(key, {
+                ...this.modem.createReceiver(mode, channel),
+                busy: false,
+                lastCarrierChange: 0,
+                clockDrift: 0, // 最近一帧发送端相对本地的时钟偏差（ppm）
+                quality: { snr: null, noiseFloor: null, threshold: null }
+            });
+        }
+        return this.receivers.get(key);
+    }
+    
+    // 需要接收的（频段, 信道）：所有支持的频段上的控制信道，加入聊天室后再加上房间信道
+    getReceiveLinks() {
+        const channels = this.roomChannel === null ? [this.controlChannel] : [this.controlChannel, this.roomChannel];
+        const links = [];
+        
+        for (const mode of Object.keys(this.config).filter(mode => this.modem.isModeSupported(mode))) {
+            for (const channel of channels) {
+                links.push(this.modem.getLink(mode, channel));
+            }
         }
-        return crc & 0xFF;
+        
+        return links;
     }
     
-    // 设置配置
+    // 设置房间信道，null 表示只监听控制信道
+    setRoomChannel(channel) {
+        const roomChannel = channel === null || channel === undefined || channel === this.controlChannel ? null : channel;
+        if (roomChannel !== null && !this.config[this.currentMode].channels[roomChannel]) return;
+        if (roomChannel === this.roomChannel) return;
+        
+        this.roomChannel = roomChannel;
+        this.configureReceiver();
+        this.linkQuality = this.getReceiver(this.currentMode, this.getActiveChannel()).quality;
+    }
+    
+    // 配置接收处理器：所有频段的接收信道同时解调
+    configureReceiver() {
+        if (this.receiverWorklet) {
+            this.receiverWorklet.port.postMessage({
+                type: 'config',
+                links: this.getReceiveLinks(),
+                gated: this.receiveGated
+            });
+        }
+    }
+    
+    // 设置发送频段，接收端始终同时监听所有频段
     setMode(mode) {
-        if (this.config[mode]) {
+        if (this.config[mode] && this.modem.isModeSupported(mode)) {
             this.currentMode = mode;
-            
-            // 更新接收器配置
-            if (this.receiverWorklet) {
-                const currentConfig = this.config[this.currentMode];
-                this.receiverWorklet.port.postMessage({
-                    type: 'config',
-                    freq0: currentConfig.freq0,
-                    freq1: currentConfig.freq1,
-                    bitRate: currentConfig.bitRate
-                });
-            }
+            this.linkQuality = this.getReceiver(mode, this.getActiveChannel()).quality;
+        }
+    }
+    
+    // 启用或关闭自动频段切换，关闭后保持手动选择的频段
+    setAutoBandSwitching(enabled) {
+        this.autoBandSwitching = enabled;
+        if (!enabled) {
+            this.cancelBandSwitch();
+        }
+    }
+    
+    // 设置发送使用的调制方式，接收端根据帧头自动识别
+    setProfile(name) {
+        if (this.config[this.currentMode].profiles[name]) {
+            this.currentProfile = name;
         }
     }
     
@@ -709,10 +1473,12 @@ class UltrasonicComm {
         this.volume = Math.max(0, Math.min(1, volume / 100));
     }
     
-    // 状态更新
+    // 状态更新，第三个参数为最近测得的链路质量
     updateStatus(status, message) {
+        this.status = status;
+        this.statusMessage = message;
         if (this.onStatusChange) {
-            this.onStatusChange(status, message);
+            this.onStatusChange(status, message, this.linkQuality);
         }
     }
     
@@ -724,14 +1490,24 @@ class UltrasonicComm {
     // 销毁
     destroy() {
         this.stopDiscovery();
+        this.clearTransmitQueue();
+        this.cancelBandSwitch();
+        clearTimeout(this.gateReleaseTimer);
         
         if (this.audioContext) {
             this.audioContext.close();
         }
         
         this.discoveredUsers.clear();
+        this.reassemblyBuffer.clear();
+        this.completedMessages.clear();
+        this.linkStats.clear();
+        this.recentMessages.clear();
     }
 }
 
-// 导出
-window.UltrasonicComm = UltrasonicComm; 
\ No newline at end of file
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.UltrasonicComm = UltrasonicComm;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UltrasonicComm };
+} 
\ No newline at end of file
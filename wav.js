@@ -0,0 +1,149 @@
+/**
+ * WAV文件模块
+ * 单声道PCM的编码，以及常见PCM/浮点格式的解码，用于离线保存和回放调制解调信号
+ */
+
+class WavCodec {
+    constructor() {
+        this.formats = {
+            pcm: 1,
+            float: 3,
+            extensible: 0xFFFE // 实际格式在扩展字段的子格式中
+        };
+    }
+
+    // 编码：[-1, 1] 的样本写为单声道WAV，默认16位PCM，bitsPerSample 为32时写浮点
+    encode(samples, sampleRate, bitsPerSample = 16) {
+        if (![16, 32].includes(bitsPerSample)) {
+            throw new Error(`不支持的位深: ${bitsPerSample}`);
+        }
+
+        const bytesPerSample = bitsPerSample / 8;
+        const dataLength = samples.length * bytesPerSample;
+        const bytes = new Uint8Array(44 + dataLength);
+        const view = new DataView(bytes.buffer);
+
+        this.writeTag(bytes, 0, 'RIFF');
+        view.setUint32(4, 36 + dataLength, true);
+        this.writeTag(bytes, 8, 'WAVE');
+
+        this.writeTag(bytes, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, bitsPerSample === 32 ? this.formats.float : this.formats.pcm, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * bytesPerSample, true);
+        view.setUint16(32, bytesPerSample, true);
+        view.setUint16(34, bitsPerSample, true);
+
+        this.writeTag(bytes, 36, 'data');
+        view.setUint32(40, dataLength, true);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            if (bitsPerSample === 32) {
+                view.setFloat32(44 + i * 4, sample, true);
+            } else {
+                view.setInt16(44 + i * 2, Math.round(sample * 0x7FFF), true);
+            }
+        }
+
+        return bytes;
+    }
+
+    // 解码：返回 { sampleRate, channels, bitsPerSample, samples }，多声道只取第一个声道
+    decode(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 12 || this.readTag(bytes, 0) !== 'RIFF' || this.readTag(bytes, 8) !== 'WAVE') {
+            throw new Error('不是WAV文件');
+        }
+
+        let format = null;
+        let data = null;
+
+        // 按块遍历，跳过LIST等无关的块；块长度为奇数时有1字节填充
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const id = this.readTag(bytes, offset);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            if (id === 'fmt ') {
+                format = {
+                    code: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    blockAlign: view.getUint16(body + 12, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+                if (format.code === this.formats.extensible && size >= 40) {
+                    format.code = view.getUint16(body + 24, true);
+                }
+            } else if (id === 'data') {
+                // 录音中断时数据块长度可能未回填，按文件实际长度截断
+                data = { offset: body, length: Math.min(size, bytes.length - body) };
+            }
+
+            offset = body + size + (size & 1);
+        }
+
+        if (!format || !data) {
+            throw new Error('WAV文件缺少fmt或data块');
+        }
+
+        const read = this.sampleReader(view, format);
+        const count = Math.floor(data.length / format.blockAlign);
+        const samples = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            samples[i] = read(data.offset + i * format.blockAlign);
+        }
+
+        return {
+            sampleRate: format.sampleRate,
+            channels: format.channels,
+            bitsPerSample: format.bitsPerSample,
+            samples: samples
+        };
+    }
+
+    // 按格式读取一个样本并换算到 [-1, 1]
+    sampleReader(view, format) {
+        if (format.code === this.formats.float && format.bitsPerSample === 32) {
+            return offset => view.getFloat32(offset, true);
+        }
+        if (format.code === this.formats.float && format.bitsPerSample === 64) {
+            return offset => view.getFloat64(offset, true);
+        }
+        if (format.code !== this.formats.pcm) {
+            throw new Error(`不支持的WAV格式: ${format.code}`);
+        }
+
+        switch (format.bitsPerSample) {
+            case 8:
+                return offset => (view.getUint8(offset) - 128) / 128;
+            case 16:
+                return offset => view.getInt16(offset, true) / 0x8000;
+            case 24:
+                return offset => ((view.getUint8(offset + 2) << 24 >> 8) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset)) / 0x800000;
+            case 32:
+                return offset => view.getInt32(offset, true) / 0x80000000;
+            default:
+                throw new Error(`不支持的位深: ${format.bitsPerSample}`);
+        }
+    }
+
+    writeTag(bytes, offset, tag) {
+        for (let i = 0; i < 4; i++) {
+            bytes[offset + i] = tag.charCodeAt(i);
+        }
+    }
+
+    readTag(bytes, offset) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    }
+}
+
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.WavCodec = WavCodec;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WavCodec };
+}
@@ -0,0 +1,247 @@
+/**
+ * 二进制线路格式模块
+ * 版本号 + 类型字节 + 字段存在位图 + 按模式编码的字段
+ * 模块各自注册消息模式，编码器对调用方保持与JSON相同的对象形状
+ */
+
+class WireFormat {
+    constructor() {
+        this.version = 1;
+        this.idLength = 4; // 固定宽度ID（房间ID、消息ID）的字节数（8位十六进制字符串）
+        this.userIdLength = 8; // 用户ID的字节数（16位十六进制字符串），由签名公钥派生，足够长才难以穷举出相同ID的公钥
+        this.idPatterns = {
+            id: new RegExp(`^[0-9a-f]{${this.idLength * 2}}$`),
+            uid: new RegExp(`^[0-9a-f]{${this.userIdLength * 2}}$`)
+        };
+        this.jsonTypeCode = 0; // 未注册类型或不符合模式时退回JSON
+
+        this.typesByName = new Map();
+        this.typesByCode = new Map();
+
+        this.textEncoder = new TextEncoder();
+        this.textDecoder = new TextDecoder();
+    }
+
+    // 注册消息类型
+    // fields: [[字段名, 字段类型], ...]，字段类型为 id / uid（用户ID）/ varint / string / bool / bytes
+    registerType(name, code, fields) {
+        if (code === this.jsonTypeCode || code > 0xFF) {
+            throw new Error(`无效的类型编码: ${code}`);
+        }
+        if (this.typesByCode.has(code) && this.typesByCode.get(code).name !== name) {
+            throw new Error(`类型编码冲突: ${code}`);
+        }
+        if (fields.length > 32) {
+            throw new Error(`字段过多: ${name}`);
+        }
+
+        const type = { name, code, fields };
+        this.typesByName.set(name, type);
+        this.typesByCode.set(code, type);
+    }
+
+    // 生成固定宽度的随机ID
+    randomId() {
+        const bytes = new Uint8Array(this.idLength);
+        crypto.getRandomValues(bytes);
+        return this.bytesToHex(bytes);
+    }
+
+    // 编码
+    encode(data) {
+        const type = this.typesByName.get(data.type);
+        if (!type || !this.fitsSchema(data, type)) {
+            return this.encodeJson(data);
+        }
+
+        const out = [this.version, type.code];
+        const fieldBytes = [];
+        let presence = 0;
+
+        type.fields.forEach(([name, kind], index) => {
+            const value = data[name];
+            if (value === undefined || value === null) return;
+
+            if (kind === 'bool') {
+                if (value) presence |= (1 << index);
+                return;
+            }
+
+            presence |= (1 << index);
+            this.writeField(fieldBytes, kind, value);
+        });
+
+        this.writeVarint(out, presence >>> 0);
+        return Uint8Array.from(out.concat(fieldBytes));
+    }
+
+    // 解码
+    decode(bytes) {
+        // 兼容旧版JSON帧
+        if (bytes[0] === 0x7B) {
+            return JSON.parse(this.textDecoder.decode(bytes));
+        }
+
+        if (bytes[0] !== this.version) {
+            throw new Error(`不支持的线路格式版本: ${bytes[0]}`);
+        }
+
+        const reader = { bytes, offset: 2 };
+        const code = bytes[1];
+
+        if (code === this.jsonTypeCode) {
+            return JSON.parse(this.textDecoder.decode(bytes.subarray(2)));
+        }
+
+        const type = this.typesByCode.get(code);
+        if (!type) {
+            throw new Error(`未知的消息类型编码: ${code}`);
+        }
+
+        const presence = this.readVarint(reader);
+        const data = { type: type.name };
+
+        type.fields.forEach(([name, kind], index) => {
+            const present = (presence >>> index) & 1;
+
+            if (kind === 'bool') {
+                data[name] = present === 1;
+                return;
+            }
+
+            if (present) {
+                data[name] = this.readField(reader, kind);
+            }
+        });
+
+        if (reader.offset !== bytes.length) {
+            throw new Error('消息长度与模式不符');
+        }
+
+        return data;
+    }
+
+    // 检查对象是否能按模式无损编码
+    fitsSchema(data, type) {
+        const known = new Set(type.fields.map(([name]) => name));
+
+        for (const key of Object.keys(data)) {
+            if (key !== 'type' && !known.has(key)) return false;
+        }
+
+        return type.fields.every(([name, kind]) => {
+            const value = data[name];
+            if (value === undefined || value === null) return true;
+
+            switch (kind) {
+                case 'id':
+                case 'uid':
+                    return typeof value === 'string' && this.idPatterns[kind].test(value);
+                case 'varint':
+                    return Number.isSafeInteger(value) && value >= 0;
+                case 'string':
+                    return typeof value === 'string';
+                case 'bool':
+                    return typeof value === 'boolean';
+                case 'bytes':
+                    return value instanceof Uint8Array;
+                default:
+                    return false;
+            }
+        });
+    }
+
+    encodeJson(data) {
+        const json = this.textEncoder.encode(JSON.stringify(data));
+        const out = new Uint8Array(2 + json.length);
+        out[0] = this.version;
+        out[1] = this.jsonTypeCode;
+        out.set(json, 2);
+        return out;
+    }
+
+    writeField(out, kind, value) {
+        switch (kind) {
+            case 'id':
+            case 'uid':
+                for (let i = 0; i < value.length / 2; i++) {
+                    out.push(parseInt(value.substr(i * 2, 2), 16));
+                }
+                break;
+            case 'varint':
+                this.writeVarint(out, value);
+                break;
+            case 'string':
+                this.writeBytes(out, this.textEncoder.encode(value));
+                break;
+            case 'bytes':
+                this.writeBytes(out, value);
+                break;
+        }
+    }
+
+    readField(reader, kind) {
+        switch (kind) {
+            case 'id':
+                return this.bytesToHex(this.take(reader, this.idLength));
+            case 'uid':
+                return this.bytesToHex(this.take(reader, this.userIdLength));
+            case 'varint':
+                return this.readVarint(reader);
+            case 'string':
+                return this.textDecoder.decode(this.take(reader, this.readVarint(reader)));
+            case 'bytes':
+                return this.take(reader, this.readVarint(reader)).slice();
+        }
+    }
+
+    writeBytes(out, bytes) {
+        this.writeVarint(out, bytes.length);
+        for (let i = 0; i < bytes.length; i++) {
+            out.push(bytes[i]);
+        }
+    }
+
+    take(reader, length) {
+        if (reader.offset + length > reader.bytes.length) {
+            throw new Error('消息被截断');
+        }
+        const bytes = reader.bytes.subarray(reader.offset, reader.offset + length);
+        reader.offset += length;
+        return bytes;
+    }
+
+    // 无符号LEB128，使用乘除法以支持超过32位的时间戳
+    writeVarint(out, value) {
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) byte |= 0x80;
+            out.push(byte);
+        } while (value > 0);
+    }
+
+    readVarint(reader) {
+        let value = 0;
+        let scale = 1;
+        let byte;
+
+        do {
+            byte = this.take(reader, 1)[0];
+            value += (byte & 0x7F) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+
+        return value;
+    }
+
+    bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// 导出：页面中为全局变量，Node中同时作为CommonJS模块
+globalThis.WireFormat = WireFormat;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WireFormat };
+}